@@ -0,0 +1,68 @@
+import PluginError from './PluginError.js';
+
+/**
+ * Defines the error thrown by `addAll` / `addAllAsync` in atomic mode when a plugin config fails to be added or adding
+ * is aborted. Any plugins already added by the call have been rolled back in reverse order.
+ */
+export default class PluginAddError extends PluginError
+{
+   /**
+    * Instantiates a PluginAddError.
+    *
+    * @param {PluginConfig}         [pluginConfig] - The plugin config that failed; undefined if adding was aborted.
+    *
+    * @param {number}               index - The index of the failed plugin config or -1 if adding was aborted.
+    *
+    * @param {*}                    cause - The original error.
+    *
+    * @param {string[]}             rolledBack - Plugin names removed during rollback in removal order.
+    *
+    * @param {Map<string, Error>}   rollbackErrors - Errors by plugin name thrown by plugins that failed to be removed
+    *                                                during rollback.
+    */
+   constructor(pluginConfig, index, cause, rolledBack, rollbackErrors)
+   {
+      const name = typeof pluginConfig === 'object' && pluginConfig !== null ? pluginConfig.name : void 0;
+
+      const target = typeof pluginConfig === 'undefined' ? 'plugins' : `plugin config '${name}' at index ${index}`;
+
+      super(`PluginManager failed to add ${target} and rolled back ${rolledBack.length} plugin(s): ${
+       cause && cause.message ? cause.message : String(cause)}`);
+
+      /**
+       * The error name.
+       * @type {string}
+       */
+      this.name = 'PluginAddError';
+
+      /**
+       * The plugin config that failed; undefined if adding was aborted.
+       * @type {PluginConfig}
+       */
+      this.pluginConfig = pluginConfig;
+
+      /**
+       * The index of the failed plugin config or -1 if adding was aborted.
+       * @type {number}
+       */
+      this.index = index;
+
+      /**
+       * The original error.
+       * @type {*}
+       */
+      this.cause = cause;
+
+      /**
+       * Plugin names removed during rollback in removal order.
+       * @type {string[]}
+       */
+      this.rolledBack = rolledBack;
+
+      /**
+       * Errors by plugin name thrown by plugins that failed to be removed during rollback.
+       * @type {Map<string, Error>}
+       */
+      this.rollbackErrors = rollbackErrors;
+   }
+}
@@ -30,6 +30,13 @@ export default class PluginEntry
        */
       this._enabled = true;
 
+      /**
+       * The plugin dispatch priority.
+       * @type {number}
+       * @private
+       */
+      this._priority = data && data.plugin && typeof data.plugin.priority === 'number' ? data.plugin.priority : 0;
+
       /**
        * The plugin name.
        * @type {string}
@@ -80,6 +87,21 @@ export default class PluginEntry
     */
    get data() { return this._data; }
 
+   /**
+    * Set plugin data.
+    *
+    * @param {object} data - New plugin data.
+    */
+   set data(data)
+   {
+      /**
+       * Data describing the plugin, manager, and optional module data.
+       * @type {object}
+       * @private
+       */
+      this._data = data;
+   }
+
    /**
     * Get enabled.
     *
@@ -122,4 +144,26 @@ export default class PluginEntry
     * @returns {string}
     */
    get name() { return this._name; }
+
+   /**
+    * Get dispatch priority.
+    *
+    * @returns {number}
+    */
+   get priority() { return this._priority; }
+
+   /**
+    * Set dispatch priority.
+    *
+    * @param {number} priority - New dispatch priority.
+    */
+   set priority(priority)
+   {
+      /**
+       * The plugin dispatch priority.
+       * @type {number}
+       * @private
+       */
+      this._priority = priority;
+   }
 }
@@ -0,0 +1,19 @@
+/**
+ * Defines the base class of errors thrown by {@link PluginManager}. Subclasses extend it as with any error class.
+ */
+export default class PluginError
+{
+   /**
+    * Instantiates a PluginError.
+    *
+    * @param {string}   message - The error message.
+    */
+   constructor(message)
+   {
+      // Transpiled classes do not extend built-in types, so a native error is constructed with the prototype of the
+      // instantiated subclass and returned as the instance.
+      return Reflect.construct(Error, [message], this.constructor);
+   }
+}
+
+Object.setPrototypeOf(PluginError.prototype, Error.prototype);
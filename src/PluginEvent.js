@@ -6,6 +6,18 @@
  * (number)          `$$plugin_invoke_count` - The count of plugins invoked.
  *
  * (Array<string>)   `$$plugin_invoke_names` - The names of plugins invoked.
+ *
+ * (boolean)         `$$plugin_propagation_stopped` - True if a plugin invoked `stopPropagation`.
+ *
+ * (boolean)         `$$plugin_default_prevented` - True if a plugin invoked `preventDefault`.
+ *
+ * (object)          `$$plugin_writes` - In read only mode the writes made by each plugin to `event.data` by plugin
+ *                                       name as `{ path, value }` entries where `path` is an array of property keys.
+ *                                       Deletions are recorded as {@link PluginEvent.DELETED}.
+ *
+ * Each invoked plugin receives its own view of the event created by {@link PluginEvent#createView} sharing `data`,
+ * `extra`, `signal`, and propagation state while holding the plugin specific `eventbus`, `pluginName`, and
+ * `pluginOptions` which remain correct after any `await`.
  */
 export default class PluginEvent
 {
@@ -15,13 +27,15 @@ export default class PluginEvent
     * @param {object} copyProps - Event data to copy.
     * @param {object} passthruProps - Event data to pass through.
     * @param {object} extraEventData - Extra event data attached to `extra`.
+    * @param {string|function(object): *} [cloneStrategy='structured'] - How `copyProps` is copied; please see
+    *                                                                   {@link PluginEvent.clone}.
     */
-   constructor(copyProps = {}, passthruProps = {}, extraEventData = void 0)
+   constructor(copyProps = {}, passthruProps = {}, extraEventData = void 0, cloneStrategy = 'structured')
    {
       /**
        * Provides the unified event data assigning any pass through data to the copied data supplied.
        */
-      this.data = Object.assign(JSON.parse(JSON.stringify(copyProps)), passthruProps);
+      this.data = Object.assign(PluginEvent.clone(copyProps, cloneStrategy), passthruProps);
 
       /**
        * Stores any extra event data added to all PluginEvents.
@@ -46,5 +60,391 @@ export default class PluginEvent
        * @type {object} - The active plugin options.
        */
       this.pluginOptions = void 0;
+
+      /**
+       * Any AbortSignal passed to asynchronous dispatch allowing plugins to cooperatively stop work.
+       * @type {AbortSignal}
+       */
+      this.signal = void 0;
+
+      /**
+       * Stores whether a plugin has prevented the default action of the host.
+       * @type {boolean}
+       * @private
+       */
+      this._defaultPrevented = false;
+
+      /**
+       * Stores whether a plugin has stopped the event from propagating to any remaining plugins.
+       * @type {boolean}
+       * @private
+       */
+      this._propagationStopped = false;
+
+      /**
+       * The PluginEvent shared by all plugin views.
+       * @type {PluginEvent}
+       * @private
+       */
+      this._root = this;
+
+      /**
+       * Stores the writes made by each plugin view in read only mode by plugin name then encoded property path.
+       * @type {Map<string, Map<string, {path: string[], value: *}>>}
+       * @private
+       */
+      this._writes = new Map();
+   }
+
+   /**
+    * Creates a lightweight view of this event for a single plugin. The view shares `data`, `extra`, `signal`, and
+    * propagation state with this event. In read only mode writes and deletions to plain objects and arrays of `data`
+    * are not applied, but recorded by property path for the plugin; see {@link PluginEvent#writes}. Reading a property
+    * returns any value recorded by the plugin, while enumerating keys always reflects the shared `data`.
+    *
+    * @param {string}      pluginName - The plugin name.
+    *
+    * @param {EventProxy}  eventbus - The EventProxy of the plugin.
+    *
+    * @param {object}      pluginOptions - The plugin options.
+    *
+    * @param {boolean}     [readOnly=false] - If true `data` is read only for the plugin.
+    *
+    * @returns {PluginEvent}
+    */
+   createView(pluginName, eventbus, pluginOptions, readOnly = false)
+   {
+      const view = Object.create(this._root);
+
+      view.eventbus = eventbus;
+      view.pluginName = pluginName;
+      view.pluginOptions = pluginOptions;
+
+      if (readOnly)
+      {
+         const writes = this._root._writes.get(pluginName) || new Map();
+
+         this._root._writes.set(pluginName, writes);
+
+         view.data = s_CREATE_READ_ONLY_PROXY(this._root.data, writes, [], new WeakMap());
+      }
+
+      return view;
+   }
+
+   /**
+    * Get the value recorded in {@link PluginEvent#writes} for a property deleted by a plugin in read only mode.
+    *
+    * @returns {symbol}
+    */
+   static get DELETED() { return s_DELETED; }
+
+   /**
+    * Deep copies a value. The default `structured` strategy follows structured clone semantics copying primitives,
+    * arrays, plain objects, `Date`, `RegExp`, `Map`, `Set`, built-in errors, `ArrayBuffer`, and typed arrays while
+    * preserving cyclic and shared references. Class instances are copied as plain objects of their own enumerable
+    * properties. Unlike structured clone, which throws on values it can not clone, functions and other objects such as
+    * `Promise` or `URL` are copied by reference. The `json` strategy copies with `JSON.parse(JSON.stringify())`. A
+    * function strategy is invoked for each object value and may return a copy for custom types or undefined to use the
+    * `structured` strategy.
+    *
+    * @param {*}                             value - The value to copy.
+    *
+    * @param {string|function(object): *}   [cloneStrategy='structured'] - `json`, `structured`, or a function.
+    *
+    * @returns {*}
+    */
+   static clone(value, cloneStrategy = 'structured')
+   {
+      switch (cloneStrategy)
+      {
+         case 'json':
+            return JSON.parse(JSON.stringify(value));
+
+         case 'structured':
+            return s_DEEP_CLONE(value, void 0, new Map());
+
+         default:
+            if (typeof cloneStrategy !== 'function')
+            {
+               throw new TypeError(`'cloneStrategy' is not 'json', 'structured', or a function.`);
+            }
+
+            return s_DEEP_CLONE(value, cloneStrategy, new Map());
+      }
+   }
+
+   /**
+    * Get whether a plugin has prevented the default action of the host.
+    *
+    * @returns {boolean}
+    */
+   get defaultPrevented() { return this._root._defaultPrevented; }
+
+   /**
+    * Get whether a plugin has stopped the event from propagating to any remaining plugins.
+    *
+    * @returns {boolean}
+    */
+   get propagationStopped() { return this._root._propagationStopped; }
+
+   /**
+    * Get the writes made by each plugin view in read only mode by plugin name as `{ path, value }` entries in the order
+    * first written. The `path` is an array of property keys such that a key containing `.` is not confused with a
+    * nested property.
+    *
+    * @returns {Object<string, Array<{path: string[], value: *}>>}
+    */
+   get writes()
+   {
+      const writes = {};
+
+      for (const [pluginName, entries] of this._root._writes) { writes[pluginName] = Array.from(entries.values()); }
+
+      return writes;
+   }
+
+   /**
+    * Signals to the host that the default action for this event should not be taken. Remaining plugins are still
+    * invoked.
+    */
+   preventDefault()
+   {
+      this._root._defaultPrevented = true;
+   }
+
+   /**
+    * Stops any remaining plugins from being invoked with this event for synchronous and serial asynchronous dispatch.
+    */
+   stopPropagation()
+   {
+      this._root._propagationStopped = true;
    }
 }
+
+/**
+ * Marks a property deleted by a plugin in read only mode.
+ * @type {symbol}
+ * @ignore
+ */
+const s_DELETED = Symbol('PluginEvent.DELETED');
+
+/**
+ * Defines the prototypes of built-in errors that are structurally cloned.
+ * @type {object[]}
+ * @ignore
+ */
+const s_ERROR_PROTOTYPES = [Error.prototype, EvalError.prototype, RangeError.prototype, ReferenceError.prototype,
+ SyntaxError.prototype, TypeError.prototype, URIError.prototype];
+
+/**
+ * Deep copies a value following structured clone semantics while tracking already copied objects to preserve cyclic
+ * and shared references. Class instances are copied as plain objects and other objects that structured clone does not
+ * support are copied by reference.
+ *
+ * @param {*}                 value - The value to copy.
+ *
+ * @param {function(object): *} [customizer] - An optional function returning a copy for custom types.
+ *
+ * @param {Map<object, *>}    seen - Copies of already visited objects.
+ *
+ * @returns {*}
+ * @ignore
+ */
+const s_DEEP_CLONE = (value, customizer, seen) =>
+{
+   // Primitives are immutable and functions are copied by reference.
+   if (typeof value !== 'object' || value === null) { return value; }
+
+   if (seen.has(value)) { return seen.get(value); }
+
+   if (typeof customizer === 'function')
+   {
+      const custom = customizer(value);
+
+      if (typeof custom !== 'undefined')
+      {
+         seen.set(value, custom);
+         return custom;
+      }
+   }
+
+   let clone;
+
+   const prototype = Object.getPrototypeOf(value);
+
+   if (prototype === Date.prototype)
+   {
+      clone = new Date(value.getTime());
+   }
+   else if (prototype === RegExp.prototype)
+   {
+      clone = new RegExp(value.source, value.flags);
+      clone.lastIndex = value.lastIndex;
+   }
+   else if (prototype === ArrayBuffer.prototype)
+   {
+      clone = value.slice(0);
+   }
+   else if (ArrayBuffer.isView(value))
+   {
+      const buffer = s_DEEP_CLONE(value.buffer, customizer, seen);
+
+      clone = value instanceof DataView ? new DataView(buffer, value.byteOffset, value.byteLength) :
+       new value.constructor(buffer, value.byteOffset, value.length);
+   }
+   else if (prototype === Map.prototype)
+   {
+      clone = new Map();
+      seen.set(value, clone);
+
+      for (const [key, entry] of value)
+      {
+         clone.set(s_DEEP_CLONE(key, customizer, seen), s_DEEP_CLONE(entry, customizer, seen));
+      }
+   }
+   else if (prototype === Set.prototype)
+   {
+      clone = new Set();
+      seen.set(value, clone);
+
+      for (const entry of value) { clone.add(s_DEEP_CLONE(entry, customizer, seen)); }
+   }
+   else if (Array.isArray(value) || s_ERROR_PROTOTYPES.includes(prototype) ||
+    Object.prototype.toString.call(value) === '[object Object]')
+   {
+      // Like structured clone class instances lose their prototype and are copied as plain objects.
+      clone = Array.isArray(value) ? new Array(value.length) :
+       Object.create(prototype === null || s_ERROR_PROTOTYPES.includes(prototype) ? prototype : Object.prototype);
+      seen.set(value, clone);
+
+      // Error message and stack are not enumerable.
+      if (s_ERROR_PROTOTYPES.includes(prototype))
+      {
+         Object.defineProperty(clone, 'message', { value: value.message, writable: true, configurable: true });
+         Object.defineProperty(clone, 'stack', { value: value.stack, writable: true, configurable: true });
+      }
+
+      for (const key of Object.keys(value)) { clone[key] = s_DEEP_CLONE(value[key], customizer, seen); }
+   }
+   else
+   {
+      // Objects that can not be structurally cloned such as Promise or URL are copied by reference.
+      clone = value;
+   }
+
+   seen.set(value, clone);
+
+   return clone;
+};
+
+/**
+ * Returns whether a value is a plain object or array wrapped by read only proxies.
+ *
+ * @param {*}  value - A value to test.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_PROXIABLE = (value) =>
+{
+   if (Array.isArray(value)) { return true; }
+
+   if (typeof value !== 'object' || value === null) { return false; }
+
+   const prototype = Object.getPrototypeOf(value);
+
+   return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Creates a Proxy of plain objects and arrays that records writes and deletions by property path instead of
+ * applying them. Reads and `in` checks reflect the recorded writes and deletions. Nested plain objects and arrays are
+ * wrapped on access.
+ *
+ * @param {object}               target - The object to wrap.
+ *
+ * @param {Map<string, {path: string[], value: *}>} writes - Recorded writes by encoded property path.
+ *
+ * @param {string[]}             path - The property path of the target.
+ *
+ * @param {WeakMap<object, Proxy>} cache - Already created proxies.
+ *
+ * @returns {Proxy}
+ * @ignore
+ */
+const s_CREATE_READ_ONLY_PROXY = (target, writes, path, cache) =>
+{
+   if (cache.has(target)) { return cache.get(target); }
+
+   const getPath = (key) => path.concat(String(key));
+
+   // Paths are encoded as JSON arrays to key the recorded writes unambiguously.
+   const getKey = (key) => JSON.stringify(getPath(key));
+
+   const record = (key, value) => writes.set(getKey(key), { path: getPath(key), value });
+
+   // Proxy invariants require non-configurable, non-writable properties to be returned and left as is.
+   const isFixed = (obj, key) =>
+   {
+      const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+
+      return typeof descriptor !== 'undefined' && !descriptor.configurable && !descriptor.writable;
+   };
+
+   const isRecorded = (key) => typeof key !== 'symbol' && writes.has(getKey(key));
+
+   const proxy = new Proxy(target, {
+      get: (obj, key) =>
+      {
+         if (isRecorded(key))
+         {
+            const written = writes.get(getKey(key)).value;
+
+            return written === s_DELETED ? void 0 : written;
+         }
+
+         const value = obj[key];
+
+         if (typeof key === 'symbol' || !s_IS_PROXIABLE(value) || isFixed(obj, key)) { return value; }
+
+         return s_CREATE_READ_ONLY_PROXY(value, writes, getPath(key), cache);
+      },
+
+      set: (obj, key, value) =>
+      {
+         if (isFixed(obj, key)) { return false; }
+
+         record(key, value);
+
+         return true;
+      },
+
+      defineProperty: (obj, key, descriptor) =>
+      {
+         if (isFixed(obj, key)) { return false; }
+
+         record(key, descriptor.value);
+
+         return true;
+      },
+
+      deleteProperty: (obj, key) =>
+      {
+         const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+
+         // Proxy invariants require non-configurable properties to not be reported as deleted.
+         if (typeof descriptor !== 'undefined' && !descriptor.configurable) { return false; }
+
+         record(key, s_DELETED);
+
+         return true;
+      },
+
+      has: (obj, key) => isRecorded(key) ? writes.get(getKey(key)).value !== s_DELETED : key in obj
+   });
+
+   cache.set(target, proxy);
+
+   return proxy;
+};
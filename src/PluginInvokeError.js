@@ -0,0 +1,53 @@
+import PluginError from './PluginError.js';
+
+/**
+ * Defines the error thrown when plugins raise errors during a dispatch with the `collect` error policy. Following
+ * `AggregateError` semantics all errors are reported in `errors` in dispatch order, by plugin name in `pluginErrors`,
+ * and along with the dispatch result.
+ */
+export default class PluginInvokeError extends PluginError
+{
+   /**
+    * Instantiates a PluginInvokeError.
+    *
+    * @param {string}               methodName - The invoked method name.
+    *
+    * @param {Map<string, Error>}   errors - Collected errors by plugin name.
+    *
+    * @param {*}                    [result] - The dispatch result.
+    */
+   constructor(methodName, errors, result = void 0)
+   {
+      super(`PluginManager failed to invoke '${methodName}' for plugins: ${Array.from(errors.keys()).join(', ')}.`);
+
+      /**
+       * The error name.
+       * @type {string}
+       */
+      this.name = 'PluginInvokeError';
+
+      /**
+       * The invoked method name.
+       * @type {string}
+       */
+      this.methodName = methodName;
+
+      /**
+       * Collected errors in dispatch order.
+       * @type {Error[]}
+       */
+      this.errors = Array.from(errors.values());
+
+      /**
+       * Collected errors by plugin name.
+       * @type {Map<string, Error>}
+       */
+      this.pluginErrors = errors;
+
+      /**
+       * The dispatch result.
+       * @type {*}
+       */
+      this.result = result;
+   }
+}
@@ -1,10 +1,16 @@
-import path          from 'path';
-import ObjectUtil    from 'typhonjs-object-util';
+import fs                 from 'fs';
+import path               from 'path';
+import url                from 'url';
+import ObjectUtil         from 'typhonjs-object-util';
 
-import EventProxy    from 'backbone-esnext-events/src/EventProxy';
+import EventProxy         from 'backbone-esnext-events/src/EventProxy';
 
-import PluginEntry   from './PluginEntry.js';
-import PluginEvent   from './PluginEvent.js';
+import PluginAddError     from './PluginAddError.js';
+import PluginEntry        from './PluginEntry.js';
+import PluginError        from './PluginError.js';
+import PluginEvent        from './PluginEvent.js';
+import PluginInvokeError  from './PluginInvokeError.js';
+import PluginTimeoutError from './PluginTimeoutError.js';
 
 /**
  * Provides a lightweight plugin manager for Node / NPM with optional `backbone-esnext-events`
@@ -29,8 +35,20 @@ import PluginEvent   from './PluginEvent.js';
  *
  * `plugins:async:invoke` - {@link PluginManager#invokeAsync}
  *
+ * `plugins:async:invoke:detailed` - {@link PluginManager#invokeAsyncDetailed}
+ *
  * `plugins:async:invoke:event` - {@link PluginManager#invokeAsyncEvent}
  *
+ * `plugins:async:invoke:event:series` - {@link PluginManager#invokeAsyncEventSeries}
+ *
+ * `plugins:async:invoke:first` - {@link PluginManager#invokeFirstAsync}
+ *
+ * `plugins:async:invoke:iterator` - {@link PluginManager#invokeAsyncIterator}
+ *
+ * `plugins:async:invoke:series` - {@link PluginManager#invokeAsyncSeries}
+ *
+ * `plugins:async:invoke:waterfall` - {@link PluginManager#invokeAsyncWaterfall}
+ *
  * `plugins:async:remove` - {@link PluginManager#removeAsync}
  *
  * `plugins:async:remove:all` - {@link PluginManager#removeAllAsync}
@@ -43,6 +61,8 @@ import PluginEvent   from './PluginEvent.js';
  *
  * `plugins:get:extra:event:data` - {@link PluginManager#getExtraEventData}
  *
+ * `plugins:get:metrics` - {@link PluginManager#getMetrics}
+ *
  * `plugins:get:method:names` - {@link PluginManager#getMethodNames}
  *
  * `plugins:get:options` - {@link PluginManager#getOptions}
@@ -59,6 +79,8 @@ import PluginEvent   from './PluginEvent.js';
  *
  * `plugins:get:plugin:options` - {@link PluginManager#getPluginOptions}
  *
+ * `plugins:get:plugin:priority` - {@link PluginManager#getPluginPriority}
+ *
  * `plugins:get:plugins:enabled` - {@link PluginManager#getPluginsEnabled}
  *
  * `plugins:get:plugins:by:event:name` - {@link PluginManager#getPluginsByEventName}
@@ -85,12 +107,20 @@ import PluginEvent   from './PluginEvent.js';
  *
  * `plugins:set:plugin:enabled` - {@link PluginManager#setPluginEnabled}
  *
+ * `plugins:set:plugin:priority` - {@link PluginManager#setPluginPriority}
+ *
  * `plugins:set:plugins:enabled` - {@link PluginManager#setPluginsEnabled}
  *
  * `plugins:sync:invoke` - {@link PluginManager#invokeSync}
  *
+ * `plugins:sync:invoke:detailed` - {@link PluginManager#invokeSyncDetailed}
+ *
  * `plugins:sync:invoke:event` - {@link PluginManager#invokeSyncEvent}
  *
+ * `plugins:sync:invoke:first` - {@link PluginManager#invokeFirst}
+ *
+ * `plugins:sync:invoke:waterfall` - {@link PluginManager#invokeWaterfall}
+ *
  * Automatically when a plugin is loaded and unloaded respective callbacks `onPluginLoad` and `onPluginUnload` will
  * be attempted to be invoked on the plugin. This is an opportunity for the plugin to receive any associated eventbus
  * and wire itself into it. It should be noted that a protected proxy around the eventbus is passed to the plugins
@@ -169,12 +199,54 @@ export default class PluginManager
     * @param {string}   [options.eventPrepend='plugin'] - A customized name to prepend PluginManager events on the
     *                                                     eventbus.
     *
+    * @param {number}   [options.asyncTimeout=0] - Milliseconds to wait for a Promise returned by a plugin during
+    *                                               asynchronous dispatch or lifecycle callbacks before rejecting with a
+    *                                               `PluginTimeoutError`; 0 waits forever. A plugin timing out in
+    *                                               `onPluginLoad` is not added and one timing out in `onPluginUnload`
+    *                                               is still removed.
+    *
+    * @param {string|Function} [options.cloneStrategy='structured'] - Defines how `copyProps` is copied for event
+    *                                                                dispatch: `structured`, `json`, or a function
+    *                                                                returning a copy for custom types; please see
+    *                                                                {@link PluginEvent.clone}.
+    *
+    * @param {number}   [options.concurrency=0] - The maximum number of plugin methods in flight during asynchronous
+    *                                              parallel dispatch; 0 is unlimited. Results are returned in dispatch
+    *                                              order.
+    *
+    * @param {boolean}  [options.cascadeRemove=false] - If true then removing a plugin also removes any plugins that
+    *                                                   depend on it otherwise removal is refused.
+    *
+    * @param {string}   [options.errorPolicy='throw'] - Defines how errors raised by plugins during dispatch are
+    *                                                   handled: `throw` aborts dispatch, `collect` continues dispatch
+    *                                                   then throws a `PluginInvokeError` with all errors and the
+    *                                                   dispatch result, and `log` continues dispatch posting errors to
+    *                                                   `log:warn`.
+    *
+    * @param {boolean}  [options.invokeHooks=false] - If true then `onBeforeInvoke` and `onAfterInvoke` are invoked
+    *                                                 on all plugins implementing them around each plugin method
+    *                                                 invocation made by the invoke methods. Asynchronous dispatch
+    *                                                 awaits hooks and hook errors are handled by the error policy.
+    *
+    * @param {boolean}  [options.metrics=false] - If true then the call count, duration, and error count of each plugin
+    *                                             method invoked by the invoke methods is recorded; please see
+    *                                             {@link PluginManager#getMetrics}.
+    *
+    * @param {boolean}  [options.readOnlyEvents=false] - If true then plugins invoked by event dispatch can not modify
+    *                                                    the shared event data; writes are instead recorded by plugin
+    *                                                    name as `{ path, value }` entries in `$$plugin_writes`.
+    *
     * @param {boolean}  [options.throwNoMethod=false] - If true then when a method fails to be invoked by any plugin
     *                                                   an exception will be thrown.
     *
     * @param {boolean}  [options.throwNoPlugin=false] - If true then when no plugin is matched to be invoked an
     *                                                   exception will be thrown.
     *
+    * @param {boolean}  [options.watch=false] - If true then `require-path` and `import-path` plugins are reloaded
+    *                                           when their files change; please see {@link PluginManager#watch}.
+    *
+    * @param {number}   [options.watchDebounce=100] - Milliseconds to wait after the last file change before reloading.
+    *
     *
     * @param {object}   [extraEventData] - Provides additional optional data to attach to PluginEvent callbacks.
     */
@@ -196,6 +268,13 @@ export default class PluginManager
        */
       this._eventbus = null;
 
+      /**
+       * Stores file watchers and any pending debounced reload by plugin name when watch mode is enabled.
+       * @type {Map<string, {watchers: Array<FSWatcher>, timeout: *}>}
+       * @private
+       */
+      this._watchers = new Map();
+
       /**
        * Stores any extra options / data to add to PluginEvent callbacks.
        * @type {Object}
@@ -203,6 +282,20 @@ export default class PluginManager
        */
       this._extraEventData = extraEventData;
 
+      /**
+       * Stores middleware wrapping each plugin method invocation.
+       * @type {Function[]}
+       * @private
+       */
+      this._middleware = [];
+
+      /**
+       * Stores invocation metrics by plugin name then method name when the `metrics` option is enabled.
+       * @type {Map<string, Map<string, {count: number, totalMs: number, maxMs: number, errorCount: number}>>}
+       * @private
+       */
+      this._metrics = new Map();
+
       /**
        * Defines options for throwing exceptions. Turned off by default.
        * @type {PluginManagerOptions}
@@ -211,12 +304,22 @@ export default class PluginManager
       this._options =
       {
          pluginsEnabled: true,
+         asyncTimeout: 0,
+         cloneStrategy: 'structured',
+         concurrency: 0,
          noEventAdd: false,
          noEventDestroy: false,
          noEventOptions: true,
          noEventRemoval: false,
+         cascadeRemove: false,
+         errorPolicy: 'throw',
+         invokeHooks: false,
+         metrics: false,
+         readOnlyEvents: false,
          throwNoMethod: false,
-         throwNoPlugin: false
+         throwNoPlugin: false,
+         watch: false,
+         watchDebounce: 100
       };
 
       if (typeof options.eventbus === 'object') { this.setEventbus(options.eventbus, options.eventPrepend); }
@@ -224,12 +327,49 @@ export default class PluginManager
       this.setOptions(options);
    }
 
+   /**
+    * Get the base class of errors thrown by PluginManager.
+    *
+    * @returns {PluginError}
+    */
+   static get PluginError() { return PluginError; }
+
+   /**
+    * Get the error thrown when plugins raise errors during a dispatch with the `collect` error policy.
+    *
+    * @returns {PluginInvokeError}
+    */
+   static get PluginInvokeError() { return PluginInvokeError; }
+
+   /**
+    * Get the error thrown by `addAll` / `addAllAsync` in atomic mode when adding plugins fails.
+    *
+    * @returns {PluginAddError}
+    */
+   static get PluginAddError() { return PluginAddError; }
+
+   /**
+    * Get the error raised when a Promise returned by a plugin method does not settle within the async timeout.
+    *
+    * @returns {PluginTimeoutError}
+    */
+   static get PluginTimeoutError() { return PluginTimeoutError; }
+
    /**
     * Adds a plugin by the given configuration parameters. A plugin `name` is always required. If no other options
     * are provided then the `name` doubles as the NPM module / local file to load. The loading first checks for an
     * existing `instance` to use as the plugin. Then the `target` is chosen as the NPM module / local file to load.
     * By passing in `options` this will be stored and accessible to the plugin during all callbacks.
     *
+    * When a CommonJS module transpiled from an ES module and marked by `__esModule` has a `default` export it is used
+    * as the plugin instance otherwise the module itself is used. The `defaultExport` plugin data records this choice
+    * which is applied again when the plugin is reloaded.
+    *
+    * By default the loaded instance or module export is used directly as the plugin. When `factory` is enabled the
+    * export is invoked as a function and when `construct` is enabled the export is instantiated with `new`. In both
+    * cases the plugin options and the EventProxy of the plugin are passed as arguments and the result is used as the
+    * plugin. Factories returning a Promise must be added with {@link PluginManager#addAsync}.
+    *
     * @param {PluginConfig}   pluginConfig - Defines the plugin to load.
     *
     * @param {object}         [moduleData] - Optional object hash to associate with plugin.
@@ -252,11 +392,51 @@ export default class PluginManager
          throw new TypeError(`'pluginConfig.target' is not a string for entry: ${JSON.stringify(pluginConfig)}.`);
       }
 
+      if (typeof pluginConfig.cwd !== 'undefined' && typeof pluginConfig.cwd !== 'string')
+      {
+         throw new TypeError(`'pluginConfig.cwd' is not a string for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
       if (typeof pluginConfig.options !== 'undefined' && typeof pluginConfig.options !== 'object')
       {
          throw new TypeError(`'pluginConfig.options' is not an 'object' for entry: ${JSON.stringify(pluginConfig)}.`);
       }
 
+      if (typeof pluginConfig.dependencies !== 'undefined' && !s_IS_STRING_ARRAY(pluginConfig.dependencies))
+      {
+         throw new TypeError(
+          `'pluginConfig.dependencies' is not an 'array' of strings for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.factory !== 'undefined' && typeof pluginConfig.factory !== 'boolean')
+      {
+         throw new TypeError(`'pluginConfig.factory' is not a 'boolean' for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.construct !== 'undefined' && typeof pluginConfig.construct !== 'boolean')
+      {
+         throw new TypeError(`'pluginConfig.construct' is not a 'boolean' for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (pluginConfig.factory && pluginConfig.construct)
+      {
+         throw new TypeError(
+          `'pluginConfig.factory' and 'pluginConfig.construct' are both enabled for entry: ${
+           JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.priority !== 'undefined' && !Number.isFinite(pluginConfig.priority))
+      {
+         throw new TypeError(`'pluginConfig.priority' is not a finite 'number' for entry: ${
+          JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.tags !== 'undefined' && !s_IS_STRING_ARRAY(pluginConfig.tags))
+      {
+         throw new TypeError(
+          `'pluginConfig.tags' is not an 'array' of strings for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
       if (typeof moduleData !== 'undefined' && typeof moduleData !== 'object')
       {
          throw new TypeError(`'moduleData' is not an 'object' for entry: ${JSON.stringify(pluginConfig)}.`);
@@ -274,7 +454,18 @@ export default class PluginManager
          return void 0;
       }
 
-      let instance, target, type;
+      const dependencies = pluginConfig.dependencies || [];
+
+      // All dependencies must be loaded before the plugin.
+      for (const dependency of dependencies)
+      {
+         if (!this._pluginMap.has(dependency))
+         {
+            throw new Error(`Plugin '${pluginConfig.name}' is missing dependency: ${dependency}.`);
+         }
+      }
+
+      let defaultExport = false, instance, target, type;
 
       // Use an existing instance of a plugin; a static class is assumed when instance is a function.
       if (typeof pluginConfig.instance === 'object' || typeof pluginConfig.instance === 'function')
@@ -298,10 +489,13 @@ export default class PluginManager
          }
          else
          {
-            instance = require(target);               // eslint-disable global-require
+            instance = require(s_RESOLVE_MODULE(target, pluginConfig.cwd)); // eslint-disable global-require
 
             type = 'require-module';
          }
+
+         defaultExport = s_IS_DEFAULT_EXPORT(instance);
+         instance = s_GET_MODULE_EXPORT(instance, defaultExport);
       }
 
       // Create an object hash with data describing the plugin, manager, and any extra module data.
@@ -320,8 +514,15 @@ export default class PluginManager
             scopedName: `${this._eventPrepend}:${pluginConfig.name}`,
             target,
             targetEscaped: PluginEntry.escape(target),
+            cwd: pluginConfig.cwd,
             type,
-            options: pluginConfig.options || {}
+            defaultExport,
+            options: pluginConfig.options || {},
+            dependencies,
+            factory: pluginConfig.factory === true,
+            construct: pluginConfig.construct === true,
+            priority: pluginConfig.priority || 0,
+            tags: Array.isArray(pluginConfig.tags) ? pluginConfig.tags.slice() : []
          }
       }));
 
@@ -330,6 +531,23 @@ export default class PluginManager
       const eventProxy = this._eventbus !== null && typeof this._eventbus !== 'undefined' ?
        new EventProxy(this._eventbus) : void 0;
 
+      try
+      {
+         instance = s_CREATE_INSTANCE(instance, pluginData, eventProxy);
+
+         if (pluginData.plugin.factory && s_IS_THENABLE(instance))
+         {
+            throw new TypeError(
+             `Plugin '${pluginConfig.name}' factory returned a Promise; use 'addAsync' for asynchronous factories.`);
+         }
+      }
+      catch (err)
+      {
+         if (eventProxy instanceof EventProxy) { eventProxy.destroy(); }
+
+         throw err;
+      }
+
       const entry = new PluginEntry(pluginConfig.name, pluginData, instance, eventProxy);
 
       this._pluginMap.set(pluginConfig.name, entry);
@@ -338,6 +556,8 @@ export default class PluginManager
       s_INVOKE_SYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, pluginConfig.name, this._pluginMap,
        this._options, false);
 
+      if (this._options.watch) { this._watchPlugin(pluginConfig.name); }
+
       // Invoke `typhonjs:plugin:manager:plugin:added` allowing external code to react to plugin addition.
       if (this._eventbus)
       {
@@ -353,6 +573,17 @@ export default class PluginManager
     * existing `instance` to use as the plugin. Then the `target` is chosen as the NPM module / local file to load.
     * By passing in `options` this will be stored and accessible to the plugin during all callbacks.
     *
+    * Unlike `add` ES modules are also supported. Targets ending in `.mjs` or that fail to load with `require` as
+    * an ES module are loaded with dynamic `import()`. The plugin data type is then `import-module` or `import-path`.
+    * Whether loaded by `require` or `import()`, when an ES module namespace or a transpiled module marked by
+    * `__esModule` has a `default` export it is used as the plugin instance otherwise the module itself is used. The
+    * `defaultExport` plugin data records this choice which is applied again when the plugin is reloaded.
+    *
+    * By default the loaded instance or module export is used directly as the plugin. When `factory` is enabled the
+    * export is invoked as a function and when `construct` is enabled the export is instantiated with `new`. In both
+    * cases the plugin options and the EventProxy of the plugin are passed as arguments and the result is used as the
+    * plugin. Any Promise returned by a factory is awaited.
+    *
     * @param {PluginConfig}   pluginConfig - Defines the plugin to load.
     *
     * @param {object}         [moduleData] - Optional object hash to associate with plugin.
@@ -375,11 +606,51 @@ export default class PluginManager
          throw new TypeError(`'pluginConfig.target' is not a string for entry: ${JSON.stringify(pluginConfig)}.`);
       }
 
+      if (typeof pluginConfig.cwd !== 'undefined' && typeof pluginConfig.cwd !== 'string')
+      {
+         throw new TypeError(`'pluginConfig.cwd' is not a string for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
       if (typeof pluginConfig.options !== 'undefined' && typeof pluginConfig.options !== 'object')
       {
          throw new TypeError(`'pluginConfig.options' is not an 'object' for entry: ${JSON.stringify(pluginConfig)}.`);
       }
 
+      if (typeof pluginConfig.dependencies !== 'undefined' && !s_IS_STRING_ARRAY(pluginConfig.dependencies))
+      {
+         throw new TypeError(
+          `'pluginConfig.dependencies' is not an 'array' of strings for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.factory !== 'undefined' && typeof pluginConfig.factory !== 'boolean')
+      {
+         throw new TypeError(`'pluginConfig.factory' is not a 'boolean' for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.construct !== 'undefined' && typeof pluginConfig.construct !== 'boolean')
+      {
+         throw new TypeError(`'pluginConfig.construct' is not a 'boolean' for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (pluginConfig.factory && pluginConfig.construct)
+      {
+         throw new TypeError(
+          `'pluginConfig.factory' and 'pluginConfig.construct' are both enabled for entry: ${
+           JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.priority !== 'undefined' && !Number.isFinite(pluginConfig.priority))
+      {
+         throw new TypeError(`'pluginConfig.priority' is not a finite 'number' for entry: ${
+          JSON.stringify(pluginConfig)}.`);
+      }
+
+      if (typeof pluginConfig.tags !== 'undefined' && !s_IS_STRING_ARRAY(pluginConfig.tags))
+      {
+         throw new TypeError(
+          `'pluginConfig.tags' is not an 'array' of strings for entry: ${JSON.stringify(pluginConfig)}.`);
+      }
+
       if (typeof moduleData !== 'undefined' && typeof moduleData !== 'object')
       {
          throw new TypeError(`'moduleData' is not an 'object' for entry: ${JSON.stringify(pluginConfig)}.`);
@@ -397,7 +668,18 @@ export default class PluginManager
          return void 0;
       }
 
-      let instance, target, type;
+      const dependencies = pluginConfig.dependencies || [];
+
+      // All dependencies must be loaded before the plugin.
+      for (const dependency of dependencies)
+      {
+         if (!this._pluginMap.has(dependency))
+         {
+            throw new Error(`Plugin '${pluginConfig.name}' is missing dependency: ${dependency}.`);
+         }
+      }
+
+      let defaultExport = false, instance, target, type;
 
       // Use an existing instance of a plugin; a static class is assumed when instance is a function.
       if (typeof pluginConfig.instance === 'object' || typeof pluginConfig.instance === 'function')
@@ -413,18 +695,7 @@ export default class PluginManager
          // If a target is defined use it instead of the name.
          target = pluginConfig.target || pluginConfig.name;
 
-         if (target.match(/^[.\/\\]/))
-         {
-            instance = require(path.resolve(target)); // eslint-disable global-require
-
-            type = 'require-path';
-         }
-         else
-         {
-            instance = require(target);               // eslint-disable global-require
-
-            type = 'require-module';
-         }
+         ({ defaultExport, instance, type } = await s_LOAD_TARGET_ASYNC(target, pluginConfig.cwd));
       }
 
       // Create an object hash with data describing the plugin, manager, and any extra module data.
@@ -443,8 +714,15 @@ export default class PluginManager
             scopedName: `${this._eventPrepend}:${pluginConfig.name}`,
             target,
             targetEscaped: PluginEntry.escape(target),
+            cwd: pluginConfig.cwd,
             type,
-            options: pluginConfig.options || {}
+            defaultExport,
+            options: pluginConfig.options || {},
+            dependencies,
+            factory: pluginConfig.factory === true,
+            construct: pluginConfig.construct === true,
+            priority: pluginConfig.priority || 0,
+            tags: Array.isArray(pluginConfig.tags) ? pluginConfig.tags.slice() : []
          }
       }));
 
@@ -453,13 +731,44 @@ export default class PluginManager
       const eventProxy = this._eventbus !== null && typeof this._eventbus !== 'undefined' ?
        new EventProxy(this._eventbus) : void 0;
 
+      try
+      {
+         const created = s_CREATE_INSTANCE(instance, pluginData, eventProxy);
+
+         // Asynchronous factories are awaited.
+         instance = pluginData.plugin.factory ? await created : created;
+      }
+      catch (err)
+      {
+         if (eventProxy instanceof EventProxy) { eventProxy.destroy(); }
+
+         throw err;
+      }
+
       const entry = new PluginEntry(pluginConfig.name, pluginData, instance, eventProxy);
 
       this._pluginMap.set(pluginConfig.name, entry);
 
-      // Invoke private module method which allows skipping optional error checking.
-      await s_INVOKE_ASYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, pluginConfig.name, this._pluginMap,
-       this._options, false);
+      try
+      {
+         // Invoke private module method which allows skipping optional error checking.
+         await s_INVOKE_ASYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, pluginConfig.name, this._pluginMap,
+          this._options, false);
+      }
+      catch (err)
+      {
+         // A plugin that does not finish loading in time is not added.
+         if (err instanceof PluginTimeoutError)
+         {
+            this._pluginMap.delete(pluginConfig.name);
+
+            if (eventProxy instanceof EventProxy) { eventProxy.destroy(); }
+         }
+
+         throw err;
+      }
+
+      if (this._options.watch) { this._watchPlugin(pluginConfig.name); }
 
       // Invoke `typhonjs:plugin:manager:plugin:added` allowing external code to react to plugin addition.
       if (this._eventbus)
@@ -471,57 +780,235 @@ export default class PluginManager
    }
 
    /**
-    * Initializes multiple plugins in a single call.
+    * Initializes multiple plugins in a single call. Plugin configs are loaded in dependency order; any plugin listed
+    * in `dependencies` is loaded before the plugins that depend on it. An error is thrown before any plugin is loaded
+    * if there is a dependency cycle or a dependency is neither in `pluginConfigs` nor already loaded.
     *
     * @param {Array<PluginConfig>}  pluginConfigs - An array of plugin config object hash entries.
     *
     * @param {object}               [moduleData] - Optional object hash to associate with all plugins.
     *
+    * @param {object}               [options] - Optional parameters.
+    *
+    * @param {boolean}              [options.atomic=false] - If true and any plugin fails to be added then all plugins
+    *                                                        already added by this call are removed in reverse order
+    *                                                        and a `PluginAddError` is thrown describing the failed
+    *                                                        config with the original error as `cause`.
+    *
     * @returns {Array<PluginData>}
     */
-   addAll(pluginConfigs = [], moduleData)
+   addAll(pluginConfigs = [], moduleData, { atomic = false } = {})
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
       if (!Array.isArray(pluginConfigs)) { throw new TypeError(`'plugins' is not an array.`); }
 
+      if (typeof atomic !== 'boolean') { throw new TypeError(`'options.atomic' is not a boolean.`); }
+
       const pluginsData = [];
 
-      for (const pluginConfig of pluginConfigs)
+      // Plugin names added by this call in order for rollback in atomic mode.
+      const added = [];
+
+      for (const level of s_SORT_PLUGIN_CONFIGS(pluginConfigs, this._pluginMap))
       {
-         const result = this.add(pluginConfig, moduleData);
+         for (const pluginConfig of level)
+         {
+            const name = s_GET_CONFIG_NAME(pluginConfig);
+            const loaded = this._pluginMap.has(name);
+
+            let result;
+
+            try
+            {
+               result = this.add(pluginConfig, moduleData);
+            }
+            catch (error)
+            {
+               if (!atomic) { throw error; }
+
+               // A plugin that throws from `onPluginLoad` remains loaded so it is also rolled back.
+               if (!loaded && this._pluginMap.has(name)) { added.push(name); }
+
+               const rolledBack = [];
+               const rollbackErrors = new Map();
+
+               for (const pluginName of added.reverse())
+               {
+                  try
+                  {
+                     if (this.remove(pluginName)) { rolledBack.push(pluginName); }
+                  }
+                  catch (err) { rollbackErrors.set(pluginName, err); }
+               }
+
+               throw new PluginAddError(pluginConfig, pluginConfigs.indexOf(pluginConfig), error, rolledBack,
+                rollbackErrors);
+            }
 
-         if (result) { pluginsData.push(result); }
+            if (result)
+            {
+               pluginsData.push(result);
+               added.push(result.plugin.name);
+            }
+         }
       }
 
       return pluginsData;
    }
 
    /**
-    * Initializes multiple plugins in a single call.
+    * Initializes multiple plugins in a single call. Plugin configs are loaded in dependency order; any plugin listed
+    * in `dependencies` is loaded and awaited before the plugins that depend on it. An error is thrown before any
+    * plugin is loaded if there is a dependency cycle or a dependency is neither in `pluginConfigs` nor already loaded.
     *
     * @param {Array<PluginConfig>}  pluginConfigs - An array of plugin config object hash entries.
     *
     * @param {object}               [moduleData] - Optional object hash to associate with all plugins.
     *
+    * @param {object}               [options] - Optional parameters.
+    *
+    * @param {AbortSignal}          [options.signal] - An AbortSignal that when aborted stops adding any remaining
+    *                                                  dependency levels and rejects with an abort error. Plugins
+    *                                                  already added remain loaded.
+    *
+    * @param {number}               [options.concurrency] - The maximum number of plugins added concurrently in each
+    *                                                       dependency level; defaults to the plugin manager
+    *                                                       `concurrency` option where 0 is unlimited.
+    *
+    * @param {boolean}              [options.atomic=false] - If true and any plugin fails to be added or the signal is
+    *                                                        aborted then all plugins already added by this call are
+    *                                                        removed in reverse order and a `PluginAddError` is thrown
+    *                                                        describing the failed config with the original error as
+    *                                                        `cause`. Plugins being added concurrently in the failing
+    *                                                        dependency level are awaited before rollback.
+    *
     * @returns {Promise<Array<PluginData>>}
     */
-   addAllAsync(pluginConfigs = [], moduleData)
+   async addAllAsync(pluginConfigs = [], moduleData, { signal, concurrency = this._options.concurrency,
+    atomic = false } = {})
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
       if (!Array.isArray(pluginConfigs)) { throw new TypeError(`'plugins' is not an array.`); }
 
+      if (typeof signal !== 'undefined' && !s_IS_ABORT_SIGNAL(signal))
+      {
+         throw new TypeError(`'options.signal' is not an AbortSignal.`);
+      }
+
+      if (!s_IS_CONCURRENCY(concurrency))
+      {
+         throw new TypeError(`'options.concurrency' is not a non-negative integer.`);
+      }
+
+      if (typeof atomic !== 'boolean') { throw new TypeError(`'options.atomic' is not a boolean.`); }
+
       const pluginsData = [];
 
-      for (const pluginConfig of pluginConfigs)
+      // Plugin names added by this call in the order added for rollback in atomic mode.
+      const added = [];
+
+      const add = async (pluginConfig) =>
+      {
+         const name = s_GET_CONFIG_NAME(pluginConfig);
+         const loaded = this._pluginMap.has(name);
+
+         try
+         {
+            const result = await this.addAsync(pluginConfig, moduleData);
+
+            if (result) { added.push(result.plugin.name); }
+
+            return result;
+         }
+         catch (error)
+         {
+            // A plugin that throws from `onPluginLoad` remains loaded so it is also rolled back.
+            if (!loaded && this._pluginMap.has(name)) { added.push(name); }
+
+            throw error;
+         }
+      };
+
+      // Dependency validation errors are thrown directly as no plugins have been added yet.
+      const levels = s_SORT_PLUGIN_CONFIGS(pluginConfigs, this._pluginMap);
+
+      let failedConfig;
+
+      try
+      {
+         // Each dependency level is added concurrently and completes `onPluginLoad` before the next level is added.
+         for (const level of levels)
+         {
+            s_THROW_IF_ABORTED(signal);
+
+            const limit = concurrency > 0 ? s_CREATE_LIMITER(concurrency, signal) : void 0;
+
+            const adding = level.map((pluginConfig) => limit ? limit(() => add(pluginConfig)) : add(pluginConfig));
+
+            let results;
+
+            if (atomic)
+            {
+               // Wait for every plugin in the level to settle so that all added plugins are rolled back on failure.
+               const pending = Promise.all(adding.map((promise, index) => promise.then((result) => ({ result }),
+                (error) => ({ error, failed: true, pluginConfig: level[index] }))));
+
+               const settled = await pending; // eslint-disable-line babel/no-await-in-loop
+
+               const failures = settled.filter((entry) => entry.failed);
+
+               // Plugins still queued when the signal is aborted are rejected with the abort error and not blamed.
+               const failure = failures.find((entry) => !s_IS_ABORT_ERROR(entry.error, signal)) || failures[0];
+
+               if (failure)
+               {
+                  if (!s_IS_ABORT_ERROR(failure.error, signal)) { failedConfig = failure.pluginConfig; }
+
+                  throw failure.error;
+               }
+
+               results = settled.map((entry) => entry.result);
+
+               s_THROW_IF_ABORTED(signal);
+            }
+            else
+            {
+               const pending = s_RACE_ABORT(Promise.all(adding), signal);
+
+               results = await pending; // eslint-disable-line babel/no-await-in-loop
+            }
+
+            for (const result of results)
+            {
+               if (result) { pluginsData.push(result); }
+            }
+         }
+      }
+      catch (error)
       {
-         const result = this.addAsync(pluginConfig, moduleData);
+         if (!atomic) { throw error; }
+
+         const rolledBack = [];
+         const rollbackErrors = new Map();
+
+         for (const pluginName of added.reverse())
+         {
+            try
+            {
+               const removed = await this.removeAsync(pluginName); // eslint-disable-line babel/no-await-in-loop
+
+               if (removed) { rolledBack.push(pluginName); }
+            }
+            catch (err) { rollbackErrors.set(pluginName, err); }
+         }
 
-         if (result) { pluginsData.push(result); }
+         throw new PluginAddError(failedConfig, pluginConfigs.indexOf(failedConfig), error, rolledBack,
+          rollbackErrors);
       }
 
-      return Promise.all(pluginsData);
+      return pluginsData;
    }
 
    /**
@@ -623,16 +1110,24 @@ export default class PluginManager
          this._eventbus.off(`${this._eventPrepend}:async:add:all`, this._addAllEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:async:invoke`, this.invokeAsync, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:detailed`, this.invokeAsyncDetailed, this);
          this._eventbus.off(`${this._eventPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:event:series`, this.invokeAsyncEventSeries, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:first`, this.invokeFirstAsync, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:iterator`, this.invokeAsyncIterator, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:series`, this.invokeAsyncSeries, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:waterfall`, this.invokeAsyncWaterfall, this);
          this._eventbus.off(`${this._eventPrepend}:async:remove`, this._removeEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:create:event:proxy`, this.createEventProxy, this);
          this._eventbus.off(`${this._eventPrepend}:destroy:manager`, this._destroyEventbus, this);
          this._eventbus.off(`${this._eventPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
          this._eventbus.off(`${this._eventPrepend}:get:extra:event:data`, this.getExtraEventData, this);
+         this._eventbus.off(`${this._eventPrepend}:get:metrics`, this.getMetrics, this);
          this._eventbus.off(`${this._eventPrepend}:get:method:names`, this.getMethodNames, this);
          this._eventbus.off(`${this._eventPrepend}:get:options`, this.getOptions, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
+         this._eventbus.off(`${this._eventPrepend}:get:plugin:priority`, this.getPluginPriority, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:data`, this.getPluginData, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
@@ -651,9 +1146,13 @@ export default class PluginManager
          this._eventbus.off(`${this._eventPrepend}:set:extra:event:data`, this.setExtraEventData, this);
          this._eventbus.off(`${this._eventPrepend}:set:options`, this._setOptionsEventbus, this);
          this._eventbus.off(`${this._eventPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
+         this._eventbus.off(`${this._eventPrepend}:set:plugin:priority`, this.setPluginPriority, this);
          this._eventbus.off(`${this._eventPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
          this._eventbus.off(`${this._eventPrepend}:sync:invoke`, this.invokeSync, this);
+         this._eventbus.off(`${this._eventPrepend}:sync:invoke:detailed`, this.invokeSyncDetailed, this);
          this._eventbus.off(`${this._eventPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+         this._eventbus.off(`${this._eventPrepend}:sync:invoke:first`, this.invokeFirst, this);
+         this._eventbus.off(`${this._eventPrepend}:sync:invoke:waterfall`, this.invokeWaterfall, this);
       }
 
       this._pluginMap = null;
@@ -677,16 +1176,24 @@ export default class PluginManager
          this._eventbus.off(`${this._eventPrepend}:async:add:all`, this._addAllEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:async:invoke`, this.invokeAsync, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:detailed`, this.invokeAsyncDetailed, this);
          this._eventbus.off(`${this._eventPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:event:series`, this.invokeAsyncEventSeries, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:first`, this.invokeFirstAsync, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:iterator`, this.invokeAsyncIterator, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:series`, this.invokeAsyncSeries, this);
+         this._eventbus.off(`${this._eventPrepend}:async:invoke:waterfall`, this.invokeAsyncWaterfall, this);
          this._eventbus.off(`${this._eventPrepend}:async:remove`, this._removeEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
          this._eventbus.off(`${this._eventPrepend}:create:event:proxy`, this.createEventProxy, this);
          this._eventbus.off(`${this._eventPrepend}:destroy:manager`, this._destroyEventbus, this);
          this._eventbus.off(`${this._eventPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
          this._eventbus.off(`${this._eventPrepend}:get:extra:event:data`, this.getExtraEventData, this);
+         this._eventbus.off(`${this._eventPrepend}:get:metrics`, this.getMetrics, this);
          this._eventbus.off(`${this._eventPrepend}:get:method:names`, this.getMethodNames, this);
          this._eventbus.off(`${this._eventPrepend}:get:options`, this.getOptions, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
+         this._eventbus.off(`${this._eventPrepend}:get:plugin:priority`, this.getPluginPriority, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:data`, this.getPluginData, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
          this._eventbus.off(`${this._eventPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
@@ -705,9 +1212,13 @@ export default class PluginManager
          this._eventbus.off(`${this._eventPrepend}:set:extra:event:data`, this.setExtraEventData, this);
          this._eventbus.off(`${this._eventPrepend}:set:options`, this._setOptionsEventbus, this);
          this._eventbus.off(`${this._eventPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
+         this._eventbus.off(`${this._eventPrepend}:set:plugin:priority`, this.setPluginPriority, this);
          this._eventbus.off(`${this._eventPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
          this._eventbus.off(`${this._eventPrepend}:sync:invoke`, this.invokeSync, this);
+         this._eventbus.off(`${this._eventPrepend}:sync:invoke:detailed`, this.invokeSyncDetailed, this);
          this._eventbus.off(`${this._eventPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+         this._eventbus.off(`${this._eventPrepend}:sync:invoke:first`, this.invokeFirst, this);
+         this._eventbus.off(`${this._eventPrepend}:sync:invoke:waterfall`, this.invokeWaterfall, this);
       }
 
       this._pluginMap = null;
@@ -743,30 +1254,171 @@ export default class PluginManager
    }
 
    /**
-    * Returns the enabled state of a plugin.
+    * Discovers local plugins in the given directory and adds them via {@link PluginManager#addAll}. Any file matching
+    * `pattern` is a plugin named by its file name without extension. Any subdirectory containing a `package.json` is
+    * a plugin named by the package `name` or else the directory name. When `recursive` is true other subdirectories
+    * except `node_modules` are also scanned. All discovered plugins are loaded as `require-path` targets. An error is
+    * thrown before any plugin is added if a plugin name is discovered more than once.
     *
-    * @param {string}   pluginName - Plugin name to set state.
+    * @param {string}   dir - The directory to scan; relative paths are resolved against the current working
+    *                         directory.
     *
-    * @returns {boolean} - Operation success.
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {RegExp}   [options.pattern=/\.js$/] - Matches file names to load as plugins.
+    *
+    * @param {boolean}  [options.recursive=false] - If true subdirectories are scanned.
+    *
+    * @param {object}   [moduleData] - Optional object hash to associate with all plugins.
+    *
+    * @returns {Array<PluginData>}
     */
-   getPluginEnabled(pluginName)
+   discover(dir, { pattern = /\.js$/, recursive = false } = {}, moduleData)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
-
-      const entry = this._pluginMap.get(pluginName);
-
-      return entry instanceof PluginEntry && entry.enabled;
+      return this.addAll(s_DISCOVER_PLUGIN_CONFIGS(dir, pattern, recursive), moduleData);
    }
 
    /**
-    * Returns the event binding names registered on any associated plugin EventProxy.
+    * Discovers local plugins in the given directory and adds them via {@link PluginManager#addAllAsync}. Any file
+    * matching `pattern` is a plugin named by its file name without extension. Any subdirectory containing a
+    * `package.json` is a plugin named by the package `name` or else the directory name. When `recursive` is true
+    * other subdirectories except `node_modules` are also scanned. ES modules are supported as with
+    * {@link PluginManager#addAsync}. The returned Promise rejects before any plugin is added if a plugin name is
+    * discovered more than once.
     *
-    * @param {string}   pluginName - Plugin name to set state.
+    * @param {string}   dir - The directory to scan; relative paths are resolved against the current working
+    *                         directory.
     *
-    * @returns {string[]} - Event binding names registered from the plugin.
-    */
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {RegExp}   [options.pattern=/\.m?js$/] - Matches file names to load as plugins.
+    *
+    * @param {boolean}  [options.recursive=false] - If true subdirectories are scanned.
+    *
+    * @param {object}   [moduleData] - Optional object hash to associate with all plugins.
+    *
+    * @returns {Promise<Array<PluginData>>}
+    */
+   async discoverAsync(dir, { pattern = /\.m?js$/, recursive = false } = {}, moduleData)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      return this.addAllAsync(s_DISCOVER_PLUGIN_CONFIGS(dir, pattern, recursive), moduleData);
+   }
+
+   /**
+    * Discovers installed NPM modules that are plugins by scanning the local `node_modules` directory including scoped
+    * packages without any network access. The `node_modules` directories of `cwd` and each parent directory are
+    * scanned so that hoisted and workspace installs are found; when a package is installed more than once the nearest
+    * to `cwd` is used. A module matches when its `package.json` `keywords` includes `keyword` or its `name` starts
+    * with `prefix`. A `package.json` that fails to parse is skipped and the error is posted to `log:warn`. The returned
+    * configs name the package and set `cwd` so they load as `require-module` plugins resolved from `cwd` regardless of
+    * where PluginManager is installed, and can be passed directly to {@link PluginManager#addAll} or
+    * {@link PluginManager#addAllAsync}.
+    *
+    * @param {object}   options - Defines how modules are matched; at least one of `keyword` or `prefix` is required.
+    *
+    * @param {string}   [options.keyword] - A `package.json` keyword identifying plugins.
+    *
+    * @param {string}   [options.prefix] - A package name prefix identifying plugins.
+    *
+    * @param {string}   [options.cwd=process.cwd()] - The directory containing `node_modules`.
+    *
+    * @returns {Array<PluginConfig>}
+    */
+   discoverModules({ keyword = void 0, prefix = void 0, cwd = process.cwd() } = {})
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof keyword !== 'undefined' && typeof keyword !== 'string')
+      {
+         throw new TypeError(`'keyword' is not a 'string'.`);
+      }
+
+      if (typeof prefix !== 'undefined' && typeof prefix !== 'string')
+      {
+         throw new TypeError(`'prefix' is not a 'string'.`);
+      }
+
+      if (typeof keyword === 'undefined' && typeof prefix === 'undefined')
+      {
+         throw new TypeError(`'keyword' or 'prefix' must be defined.`);
+      }
+
+      if (typeof cwd !== 'string') { throw new TypeError(`'cwd' is not a 'string'.`); }
+
+      const resolvedCwd = path.resolve(cwd);
+
+      const packageNames = [];
+      const seenNames = new Set();
+
+      for (const packageDir of s_GET_MODULE_DIRS(resolvedCwd))
+      {
+         let packageJSON;
+
+         try
+         {
+            packageJSON = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+         }
+         catch (err)
+         {
+            // Please note that a plugin or other logger must be setup on the associated eventbus.
+            if (this._eventbus !== null && typeof this._eventbus !== 'undefined')
+            {
+               this._eventbus.trigger('log:warn', `Failed to read package.json of module: ${packageDir}: ${
+                err.message}`, err);
+            }
+
+            continue;
+         }
+
+         // Packages installed nearer to `cwd` shadow any of the same name installed in parent directories.
+         if (typeof packageJSON !== 'object' || packageJSON === null || typeof packageJSON.name !== 'string' ||
+          seenNames.has(packageJSON.name))
+         {
+            continue;
+         }
+
+         seenNames.add(packageJSON.name);
+
+         const hasKeyword = typeof keyword === 'string' && Array.isArray(packageJSON.keywords) &&
+          packageJSON.keywords.indexOf(keyword) >= 0;
+
+         const hasPrefix = typeof prefix === 'string' && packageJSON.name.startsWith(prefix);
+
+         if (hasKeyword || hasPrefix) { packageNames.push(packageJSON.name); }
+      }
+
+      return packageNames.sort().map((name) => ({ name, cwd: resolvedCwd }));
+   }
+
+   /**
+    * Returns the enabled state of a plugin.
+    *
+    * @param {string}   pluginName - Plugin name to set state.
+    *
+    * @returns {boolean} - Operation success.
+    */
+   getPluginEnabled(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      return entry instanceof PluginEntry && entry.enabled;
+   }
+
+   /**
+    * Returns the event binding names registered on any associated plugin EventProxy.
+    *
+    * @param {string}   pluginName - Plugin name to set state.
+    *
+    * @returns {string[]} - Event binding names registered from the plugin.
+    */
    getPluginEventNames(pluginName)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
@@ -778,6 +1430,24 @@ export default class PluginManager
       return entry instanceof PluginEntry && entry._eventProxy ? entry._eventProxy.getEventNames() : [];
    }
 
+   /**
+    * Returns the dispatch priority of a plugin. Plugins with a higher priority are invoked first.
+    *
+    * @param {string}   pluginName - Plugin name to get priority.
+    *
+    * @returns {number|undefined} - The plugin priority or undefined if the plugin is not found.
+    */
+   getPluginPriority(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      return entry instanceof PluginEntry ? entry.priority : void 0;
+   }
+
    /**
     * Returns the enabled state of a list of plugins.
     *
@@ -903,6 +1573,31 @@ export default class PluginManager
       return this._extraEventData;
    }
 
+   /**
+    * Returns a copy of the invocation metrics recorded while the `metrics` option is enabled. Metrics are keyed by
+    * plugin name then method name. The metrics of a plugin are dropped when it is removed.
+    *
+    * @returns {Object<string, Object<string, {count: number, totalMs: number, maxMs: number, errorCount: number}>>}
+    */
+   getMetrics()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      const results = {};
+
+      for (const [pluginName, methods] of this._metrics)
+      {
+         results[pluginName] = {};
+
+         for (const [methodName, metrics] of methods)
+         {
+            results[pluginName][methodName] = Object.assign({}, metrics);
+         }
+      }
+
+      return results;
+   }
+
    /**
     * Returns all method names or if a boolean is passed in will return method names for plugins by current enabled
     * state.
@@ -951,7 +1646,8 @@ export default class PluginManager
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      return JSON.parse(JSON.stringify(this._options));
+      // Options are primitives or a `cloneStrategy` function which JSON serialization would drop.
+      return Object.assign({}, this._options);
    }
 
    /**
@@ -1015,13 +1711,16 @@ export default class PluginManager
    }
 
    /**
-    * Returns all plugin names or if a boolean is passed in will return plugin names by current enabled state.
+    * Returns all plugin names or if a boolean is passed in will return plugin names by current enabled state. An
+    * optional selector further limits the plugin names returned.
     *
     * @param {boolean|undefined} enabled - If enabled is a boolean it will return plugins given their enabled state.
     *
+    * @param {PluginSelector}    [selector] - An optional plugin name, array / iterable of plugin names, or selector.
+    *
     * @returns {Array<string>}
     */
-   getPluginNames(enabled = void 0)
+   getPluginNames(enabled = void 0, selector = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
@@ -1030,14 +1729,28 @@ export default class PluginManager
          throw new TypeError(`'enabled' is not a 'boolean' or 'undefined'.`);
       }
 
-      // Return all plugin names if enabled is not defined.
-      if (enabled === void 0) { return Array.from(this._pluginMap.keys()); }
+      let entries = this._pluginMap.values();
+
+      if (typeof selector !== 'undefined')
+      {
+         selector = s_RESOLVE_SELECTOR(selector, this._pluginMap);
+
+         entries = [];
+
+         for (const name of typeof selector === 'string' ? [selector] : selector)
+         {
+            const entry = this._pluginMap.get(name);
+
+            if (entry instanceof PluginEntry && !entries.includes(entry)) { entries.push(entry); }
+         }
+      }
 
       const results = [];
 
-      for (const entry of this._pluginMap.values())
+      for (const entry of entries)
       {
-         if (entry.enabled === enabled) { results.push(entry.name); }
+         // Return all plugin names if enabled is not defined.
+         if (enabled === void 0 || entry.enabled === enabled) { results.push(entry.name); }
       }
 
       return results;
@@ -1130,10 +1843,12 @@ export default class PluginManager
     *
     * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
     *
-    * @param {string|Array<string>} [nameOrList] - An optional plugin name or array / iterable of plugin names to
-    *                                              invoke.
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
     */
-   invoke(methodName, args = void 0, nameOrList = void 0)
+   invoke(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
@@ -1141,64 +1856,36 @@ export default class PluginManager
 
       if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
 
-      if (typeof nameOrList !== 'string' && !Array.isArray(nameOrList) &&
-       typeof nameOrList[Symbol.iterator] !== 'function')
-      {
-         throw new TypeError(`'nameOrList' is not a string, array, or iterator.`);
-      }
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
 
-      // Track if a plugin method is invoked.
-      let hasMethod = false;
-      let hasPlugin = false;
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { extraEventData: this._extraEventData, pluginMap: this._pluginMap });
 
       // Early out if plugins are not enabled.
       if (!this._options.pluginsEnabled) { return; }
 
-      if (typeof nameOrList === 'string')
-      {
-         const plugin = this._pluginMap.get(nameOrList);
-
-         if (plugin instanceof PluginEntry && plugin.enabled && plugin.instance)
-         {
-            hasPlugin = true;
-
-            if (typeof plugin.instance[methodName] === 'function')
-            {
-               Array.isArray(args) ? plugin.instance[methodName](...args) : plugin.instance[methodName](args);
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
 
-               hasMethod = true;
-            }
-         }
-      }
-      else
+      for (const entry of entries)
       {
-         for (const name of nameOrList)
-         {
-            const plugin = this._pluginMap.get(name);
-
-            if (plugin instanceof PluginEntry && plugin.enabled && plugin.instance)
-            {
-               hasPlugin = true;
-
-               if (typeof plugin.instance[methodName] === 'function')
-               {
-                  Array.isArray(args) ? plugin.instance[methodName](...args) : plugin.instance[methodName](args);
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
 
-                  hasMethod = true;
-               }
-            }
-         }
+         s_INVOKE_METHOD(entry, methodName, args, dispatch);
       }
 
-      if (this._options.throwNoPlugin && !hasPlugin)
+      if (options.throwNoPlugin && !hasPlugin)
       {
          throw new Error(`PluginManager failed to find any target plugins.`);
       }
 
-      if (this._options.throwNoMethod && !hasMethod)
+      if (options.throwNoMethod && !hasMethod)
       {
          throw new Error(`PluginManager failed to invoke '${methodName}'.`);
       }
+
+      s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors);
    }
 
    /**
@@ -1210,12 +1897,14 @@ export default class PluginManager
     *
     * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
     *
-    * @param {string|Array<string>} [nameOrList] - An optional plugin name or array / iterable of plugin names to
-    *                                              invoke.
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
     *
     * @returns {Promise<*|Array<*>>}
     */
-   invokeAsync(methodName, args = void 0, nameOrList = void 0)
+   invokeAsync(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
@@ -1223,15 +1912,11 @@ export default class PluginManager
 
       if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
 
-      if (typeof nameOrList !== 'string' && !Array.isArray(nameOrList) &&
-       typeof nameOrList[Symbol.iterator] !== 'function')
-      {
-         throw new TypeError(`'nameOrList' is not a string, array, or iterator.`);
-      }
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
 
-      // Track if a plugin method is invoked.
-      let hasMethod = false;
-      let hasPlugin = false;
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { async: true, extraEventData: this._extraEventData,
+       pluginMap: this._pluginMap, skipInvalid: true });
 
       // Capture results.
       let result = void 0;
@@ -1242,111 +1927,86 @@ export default class PluginManager
 
       try
       {
-         if (typeof nameOrList === 'string')
-         {
-            const plugin = this._pluginMap.get(nameOrList);
+         // Track if a plugin method is invoked.
+         const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+         const hasMethod = entries.length > 0;
 
-            if (plugin instanceof PluginEntry && plugin.enabled && plugin.instance)
-            {
-               hasPlugin = true;
-
-               if (typeof plugin.instance[methodName] === 'function')
-               {
-                  result = Array.isArray(args) ? plugin.instance[methodName](...args) :
-                   plugin.instance[methodName](args);
+         for (const entry of entries)
+         {
+            if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
 
-                  // If we received a valid result return immediately.
-                  if (result !== null || typeof result !== 'undefined') { results.push(result); }
+            s_THROW_IF_ABORTED(options.signal);
 
-                  hasMethod = true;
-               }
-            }
-         }
-         else
-         {
-            for (const name of nameOrList)
+            // Defer invocation when concurrency is limited; like unlimited dispatch only synchronous invalid results
+            // are skipped while the resolved value of any returned Promise is kept.
+            if (dispatch.limit)
             {
-               const plugin = this._pluginMap.get(name);
-
-               if (plugin instanceof PluginEntry && plugin.enabled && plugin.instance)
+               results.push(dispatch.limit(() =>
                {
-                  hasPlugin = true;
+                  if (!s_IS_ACTIVE(entry, this._pluginMap)) { return s_SKIP_RESULT; }
 
-                  if (typeof plugin.instance[methodName] === 'function')
-                  {
-                     result = Array.isArray(args) ? plugin.instance[methodName](...args) :
-                      plugin.instance[methodName](args);
+                  const value = s_INVOKE_METHOD(entry, methodName, args, dispatch);
 
-                     // If we received a valid result return immediately.
-                     if (result !== null || typeof result !== 'undefined') { results.push(result); }
+                  return value !== null && typeof value !== 'undefined' ? value : s_SKIP_RESULT;
+               }));
 
-                     hasMethod = true;
-                  }
-               }
+               continue;
             }
+
+            result = s_INVOKE_METHOD(entry, methodName, args, dispatch);
+
+            // Only collect valid results.
+            if (result !== null && typeof result !== 'undefined') { results.push(result); }
          }
 
-         if (this._options.throwNoPlugin && !hasPlugin)
+         if (options.throwNoPlugin && !hasPlugin)
          {
-            return Promise.reject(new Error(`PluginManager failed to find any target plugins.`));
+            throw new Error(`PluginManager failed to find any target plugins.`);
          }
 
-         if (this._options.throwNoMethod && !hasMethod)
+         if (options.throwNoMethod && !hasMethod)
          {
-            return Promise.reject(new Error(`PluginManager failed to invoke '${methodName}'.`));
+            throw new Error(`PluginManager failed to invoke '${methodName}'.`);
          }
       }
       catch (error)
       {
+         // Plugin methods already invoked are no longer awaited.
+         s_IGNORE_REJECTIONS(results);
+
          return Promise.reject(error);
       }
 
-      // If there are multiple results then use Promise.all otherwise Promise.resolve.
-      return results.length > 1 ? Promise.all(results) : Promise.resolve(result);
-   }
-
-   /**
-    * This dispatch method synchronously passes to and returns from any invoked targets a PluginEvent.
-    *
-    * @param {string}               methodName - Method name to invoke.
-    *
-    * @param {object}               [copyProps={}] - plugin event object.
-    *
-    * @param {object}               [passthruProps={}] - if true, event has plugin option.
-    *
-    * @param {string|Array<string>} [nameOrList] - An optional plugin name or array / iterable of plugin names to
-    *                                              invoke.
-    *
-    * @returns {Promise<PluginEvent>}
-    */
-   invokeAsyncEvent(methodName, copyProps = {}, passthruProps = {}, nameOrList = void 0)
-   {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
-
-      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+      const promise = Promise.all(results).then((values) =>
+      {
+         // Only collect valid results.
+         const valid = values.filter((value) => value !== s_SKIP_RESULT);
 
-      // Early out if plugins are not enabled.
-      if (!this._options.pluginsEnabled) { return Promise.resolve(); }
+         return valid.length > 1 ? valid : valid[0];
+      });
 
-      // Invokes the private internal async events method with optional error checking enabled.
-      return s_INVOKE_ASYNC_EVENTS(methodName, copyProps, passthruProps, this._extraEventData, nameOrList,
-       this._pluginMap, this._options);
+      // Stop waiting on plugins and reject if dispatch is aborted.
+      return s_RACE_ABORT(promise, options.signal).then(
+       (value) => s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, value));
    }
 
    /**
-    * This dispatch method synchronously passes back a single value or an array with all results returned by any
-    * invoked targets.
+    * This dispatch method invokes all targets like {@link PluginManager#invokeAsync}, but always passes back an array
+    * with a record for each invoked plugin in dispatch order holding the plugin name, result, any error, and duration.
+    * Errors thrown or rejected by plugins are reported in the records instead of being handled by the error policy.
     *
     * @param {string}               methodName - Method name to invoke.
     *
     * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
     *
-    * @param {string|Array<string>} [nameOrList] - An optional plugin name or array / iterable of plugin names to
-    *                                              invoke.
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
     *
-    * @returns {*|Array<*>}
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {Promise<Array<InvokeDetailedResult>>}
     */
-   invokeSync(methodName, args = void 0, nameOrList = void 0)
+   invokeAsyncDetailed(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
@@ -1354,78 +2014,65 @@ export default class PluginManager
 
       if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
 
-      if (typeof nameOrList !== 'string' && !Array.isArray(nameOrList) &&
-       typeof nameOrList[Symbol.iterator] !== 'function')
-      {
-         throw new TypeError(`'nameOrList' is not a string, array, or iterator.`);
-      }
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
 
-      // Track if a plugin method is invoked.
-      let hasMethod = false;
-      let hasPlugin = false;
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+
+      // Errors are always collected and reported in the detailed results.
+      const dispatch = s_CREATE_DISPATCH(Object.assign({}, options, { errorPolicy: 'collect' }), { async: true,
+       extraEventData: this._extraEventData, pluginMap: this._pluginMap });
 
-      // Capture results.
-      let result = void 0;
       const results = [];
 
       // Early out if plugins are not enabled.
-      if (!this._options.pluginsEnabled) { return result; }
+      if (!this._options.pluginsEnabled) { return Promise.resolve(results); }
 
-      if (typeof nameOrList === 'string')
+      try
       {
-         const plugin = this._pluginMap.get(nameOrList);
+         // Track if a plugin method is invoked.
+         const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+         const hasMethod = entries.length > 0;
 
-         if (plugin instanceof PluginEntry && plugin.enabled && plugin.instance)
+         for (const entry of entries)
          {
-            hasPlugin = true;
+            if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
 
-            if (typeof plugin.instance[methodName] === 'function')
-            {
-               result = Array.isArray(args) ? plugin.instance[methodName](...args) : plugin.instance[methodName](args);
+            s_THROW_IF_ABORTED(options.signal);
 
-               // If we received a valid result return immediately.
-               if (result !== null || typeof result !== 'undefined') { results.push(result); }
+            const invoke = () =>
+            {
+               if (!s_IS_ACTIVE(entry, this._pluginMap)) { return s_SKIP_RESULT; }
 
-               hasMethod = true;
-            }
-         }
-      }
-      else
-      {
-         for (const name of nameOrList)
-         {
-            const plugin = this._pluginMap.get(name);
+               const start = s_NOW();
 
-            if (plugin instanceof PluginEntry && plugin.enabled && plugin.instance)
-            {
-               hasPlugin = true;
+               return Promise.resolve(s_INVOKE_METHOD(entry, methodName, args, dispatch)).then(
+                (result) => s_CREATE_DETAILED_RESULT(entry, result, dispatch, start));
+            };
 
-               if (typeof plugin.instance[methodName] === 'function')
-               {
-                  result = Array.isArray(args) ? plugin.instance[methodName](...args) :
-                   plugin.instance[methodName](args);
+            results.push(dispatch.limit ? dispatch.limit(invoke) : invoke());
+         }
 
-                  // If we received a valid result return immediately.
-                  if (result !== null || typeof result !== 'undefined') { results.push(result); }
+         if (options.throwNoPlugin && !hasPlugin)
+         {
+            throw new Error(`PluginManager failed to find any target plugins.`);
+         }
 
-                  hasMethod = true;
-               }
-            }
+         if (options.throwNoMethod && !hasMethod)
+         {
+            throw new Error(`PluginManager failed to invoke '${methodName}'.`);
          }
       }
-
-      if (this._options.throwNoPlugin && !hasPlugin)
+      catch (error)
       {
-         throw new Error(`PluginManager failed to find any target plugins.`);
-      }
+         // Plugin methods already invoked are no longer awaited.
+         s_IGNORE_REJECTIONS(results);
 
-      if (this._options.throwNoMethod && !hasMethod)
-      {
-         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+         return Promise.reject(error);
       }
 
-      // Return the results array if there are more than one or just a single result.
-      return results.length > 1 ? results : result;
+      // Stop waiting on plugins and reject if dispatch is aborted.
+      return s_RACE_ABORT(Promise.all(results), options.signal).then(
+       (values) => values.filter((value) => value !== s_SKIP_RESULT));
    }
 
    /**
@@ -1437,947 +2084,3531 @@ export default class PluginManager
     *
     * @param {object}               [passthruProps={}] - if true, event has plugin option.
     *
-    * @param {string|Array<string>} [nameOrList] - An optional plugin name or array / iterable of plugin names to
-    *                                              invoke.
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
     *
-    * @returns {PluginEvent|undefined}
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {Promise<PluginEvent>}
     */
-   invokeSyncEvent(methodName, copyProps = {}, passthruProps = {}, nameOrList = void 0)
+   invokeAsyncEvent(methodName, copyProps = {}, passthruProps = {}, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
       if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
 
       // Early out if plugins are not enabled.
-      if (!this._options.pluginsEnabled) { return void 0; }
+      if (!this._options.pluginsEnabled) { return Promise.resolve(); }
 
-      // Invokes the private internal sync events method with optional error checking enabled.
-      return s_INVOKE_SYNC_EVENTS(methodName, copyProps, passthruProps, this._extraEventData, nameOrList,
-       this._pluginMap, this._options);
+      // Invokes the private internal async events method with optional error checking enabled.
+      return s_INVOKE_ASYNC_EVENTS(methodName, copyProps, passthruProps, this._extraEventData, nameOrList,
+       this._pluginMap, s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics));
    }
 
    /**
-    * Performs validation of a PluginConfig.
+    * This dispatch method asynchronously passes to and returns from any invoked targets a PluginEvent. Unlike
+    * {@link PluginManager#invokeAsyncEvent} each invoked target is awaited upon before the next target is invoked, so
+    * a target may rely on any preceding target having finished modifying the PluginEvent.
     *
-    * @param {PluginConfig}   pluginConfig - A PluginConfig to validate.
+    * @param {string}               methodName - Method name to invoke.
     *
-    * @returns {boolean} True if the given PluginConfig is valid.
+    * @param {object}               [copyProps={}] - plugin event object.
+    *
+    * @param {object}               [passthruProps={}] - if true, event has plugin option.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {Promise<PluginEvent>}
     */
-   isValidConfig(pluginConfig)
+   invokeAsyncEventSeries(methodName, copyProps = {}, passthruProps = {}, nameOrList = void 0, invokeOptions = void 0)
    {
-      if (typeof pluginConfig !== 'object') { return false; }
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      if (typeof pluginConfig.name !== 'string') { return false; }
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
 
-      if (typeof pluginConfig.target !== 'undefined' && typeof pluginConfig.target !== 'string') { return false; }
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return Promise.resolve(); }
 
-      if (typeof pluginConfig.options !== 'undefined' && typeof pluginConfig.options !== 'object') { return false; }
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
 
-      return true;
+      // Invokes the private internal async events method with optional error checking enabled in series.
+      return s_INVOKE_ASYNC_EVENTS(methodName, copyProps, passthruProps, this._extraEventData, nameOrList,
+       this._pluginMap, options, true, true);
    }
 
    /**
-    * Sets the eventbus associated with this plugin manager. If any previous eventbus was associated all plugin manager
-    * events will be removed then added to the new eventbus. If there are any existing plugins being managed their
-    * events will be removed from the old eventbus and then `onPluginLoad` will be called with the new eventbus.
+    * This dispatch method invokes all targets like {@link PluginManager#invokeAsync}, but returns an async iterable
+    * yielding `{ pluginName, result, error }` for each invoked plugin as soon as its result settles. Set the `order`
+    * invocation option to `dispatch` to yield in dispatch order instead. Errors thrown or rejected by plugins are
+    * reported in the yielded items instead of being handled by the error policy. Dispatch errors such as an aborted
+    * signal or the `throwNoPlugin` / `throwNoMethod` options reject the first `next()` of the async iterable.
     *
-    * @param {TyphonEvents}   targetEventbus - The target eventbus to associate.
+    * @example
+    * for await (const { pluginName, result, error } of pluginManager.invokeAsyncIterator('analyze'))
+    * {
+    *    ...
+    * }
     *
-    * @param {string}         [eventPrepend='plugins'] - An optional string to prepend to all of the event binding
-    *                                                    targets.
+    * @param {string}               methodName - Method name to invoke.
     *
-    * @returns {PluginManager}
+    * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {AsyncIterable<{pluginName: string, result: *, error: Error}>}
     */
-   setEventbus(targetEventbus, eventPrepend = 'plugins')
+   invokeAsyncIterator(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      if (typeof targetEventbus !== 'object') { throw new TypeError(`'targetEventbus' is not an 'object'.`); }
-      if (typeof eventPrepend !== 'string') { throw new TypeError(`'eventPrepend' is not a 'string'.`); }
-
-      // Early escape if the targetEventbus is the same as the current eventbus.
-      if (targetEventbus === this._eventbus) { return this; }
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
 
-      const oldPrepend = this._eventPrepend;
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
 
-      /**
-       * Stores the prepend string for eventbus registration.
-       * @type {string}
-       * @private
-       */
-      this._eventPrepend = eventPrepend;
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
 
-      // Unload and reload any existing plugins from the old eventbus to the target eventbus.
-      if (this._pluginMap.size > 0)
-      {
-         // Invoke private module method which allows skipping optional error checking.
-         s_INVOKE_SYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, this._pluginMap.keys(),
-          this._pluginMap, this._options, false);
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
 
-         for (const entry of this._pluginMap.values())
-         {
-            // Automatically remove any potential reference to a stored event proxy instance.
-            try
-            {
-               entry.instance._eventbus = void 0;
-            }
-            catch (err) { /* nop */ }
+      // Errors are always collected and reported in the yielded items.
+      const dispatch = s_CREATE_DISPATCH(Object.assign({}, options, { errorPolicy: 'collect' }), { async: true,
+       extraEventData: this._extraEventData, pluginMap: this._pluginMap });
 
-            entry.data.manager.eventPrepend = eventPrepend;
-            entry.data.plugin.scopedName = `${eventPrepend}:${entry.name}`;
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return s_CREATE_ASYNC_ITERABLE([], options); }
 
-            if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
 
-            entry.eventProxy = new EventProxy(targetEventbus);
+      // Dispatch errors reject the first `next()` of the returned async iterable.
+      try
+      {
+         if (options.throwNoPlugin && !hasPlugin)
+         {
+            throw new Error(`PluginManager failed to find any target plugins.`);
          }
 
-         // Invoke private module method which allows skipping optional error checking.
-         s_INVOKE_SYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, this._pluginMap.keys(),
-          this._pluginMap, this._options, false);
-
-         for (const entry of this._pluginMap.values())
+         if (options.throwNoMethod && !hasMethod)
          {
-            // Invoke `typhonjs:plugin:manager:eventbus:changed` allowing external code to react to plugin
-            // changing eventbus.
-            if (this._eventbus)
-            {
-               this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:changed`, Object.assign({
-                  oldEventbus: this._eventbus,
-                  oldManagerEventPrepend: oldPrepend,
-                  oldScopedName: `${oldPrepend}:${entry.name}`,
-                  newEventbus: targetEventbus,
-                  newManagerEventPrepend: eventPrepend,
-                  newScopedName: `${eventPrepend}:${entry.name}`
-               }, JSON.parse(JSON.stringify(entry.data))));
-            }
+            throw new Error(`PluginManager failed to invoke '${methodName}'.`);
          }
-      }
 
-      if (this._eventbus !== null)
+         s_THROW_IF_ABORTED(options.signal);
+      }
+      catch (error)
       {
-         this._eventbus.off(`${oldPrepend}:add`, this._addEventbus, this);
-         this._eventbus.off(`${oldPrepend}:add:all`, this._addAllEventbus, this);
-         this._eventbus.off(`${oldPrepend}:async:add`, this._addEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:add:all`, this._addAllEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:invoke`, this.invokeAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
-         this._eventbus.off(`${oldPrepend}:async:remove`, this._removeEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:create:event:proxy`, this.createEventProxy, this);
-         this._eventbus.off(`${oldPrepend}:destroy:manager`, this._destroyEventbus, this);
-         this._eventbus.off(`${oldPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
-         this._eventbus.off(`${oldPrepend}:get:extra:event:data`, this.getExtraEventData, this);
-         this._eventbus.off(`${oldPrepend}:get:method:names`, this.getMethodNames, this);
-         this._eventbus.off(`${oldPrepend}:get:options`, this.getOptions, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:data`, this.getPluginData, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:names`, this.getPluginNames, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:options`, this.getPluginOptions, this);
-         this._eventbus.off(`${oldPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
-         this._eventbus.off(`${oldPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
-         this._eventbus.off(`${oldPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
-         this._eventbus.off(`${oldPrepend}:has:method`, this.hasMethod, this);
-         this._eventbus.off(`${oldPrepend}:has:plugin`, this.hasPlugin, this);
-         this._eventbus.off(`${oldPrepend}:has:plugin:method`, this.hasPluginMethod, this);
-         this._eventbus.off(`${oldPrepend}:invoke`, this.invoke, this);
-         this._eventbus.off(`${oldPrepend}:is:valid:config`, this.isValidConfig, this);
-         this._eventbus.off(`${oldPrepend}:remove`, this._removeEventbus, this);
-         this._eventbus.off(`${oldPrepend}:remove:all`, this._removeAllEventbus, this);
-         this._eventbus.off(`${oldPrepend}:set:extra:event:data`, this.setExtraEventData, this);
-         this._eventbus.off(`${oldPrepend}:set:options`, this._setOptionsEventbus, this);
-         this._eventbus.off(`${oldPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
-         this._eventbus.off(`${oldPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
-         this._eventbus.off(`${oldPrepend}:sync:invoke`, this.invokeSync, this);
-         this._eventbus.off(`${oldPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
-
-         // Invoke `typhonjs:plugin:manager:eventbus:removed` allowing external code to react to eventbus removal.
-         this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:removed`,
-         {
-            oldEventbus: this._eventbus,
-            oldEventPrepend: oldPrepend,
-            newEventbus: targetEventbus,
-            newEventPrepend: eventPrepend
-         });
+         return s_CREATE_ASYNC_ITERABLE([], options, error);
       }
 
-      targetEventbus.on(`${eventPrepend}:add`, this._addEventbus, this);
-      targetEventbus.on(`${eventPrepend}:add:all`, this._addAllEventbus, this);
-      targetEventbus.on(`${eventPrepend}:async:add`, this._addEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:add:all`, this._addAllEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:invoke`, this.invokeAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
-      targetEventbus.on(`${eventPrepend}:async:remove`, this._removeEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:create:event:proxy`, this.createEventProxy, this);
-      targetEventbus.on(`${eventPrepend}:destroy:manager`, this._destroyEventbus, this);
-      targetEventbus.on(`${eventPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
-      targetEventbus.on(`${eventPrepend}:get:extra:event:data`, this.getExtraEventData, this);
-      targetEventbus.on(`${eventPrepend}:get:method:names`, this.getMethodNames, this);
-      targetEventbus.on(`${eventPrepend}:get:options`, this.getOptions, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:data`, this.getPluginData, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:names`, this.getPluginNames, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:options`, this.getPluginOptions, this);
-      targetEventbus.on(`${eventPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
-      targetEventbus.on(`${eventPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
-      targetEventbus.on(`${eventPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
-      targetEventbus.on(`${eventPrepend}:has:method`, this.hasMethod, this);
-      targetEventbus.on(`${eventPrepend}:has:plugin`, this.hasPlugin, this);
-      targetEventbus.on(`${eventPrepend}:has:plugin:method`, this.hasPluginMethod, this);
-      targetEventbus.on(`${eventPrepend}:invoke`, this.invoke, this);
-      targetEventbus.on(`${eventPrepend}:is:valid:config`, this.isValidConfig, this);
-      targetEventbus.on(`${eventPrepend}:remove`, this._removeEventbus, this);
-      targetEventbus.on(`${eventPrepend}:remove:all`, this._removeAllEventbus, this);
-      targetEventbus.on(`${eventPrepend}:set:extra:event:data`, this.setExtraEventData, this);
-      targetEventbus.on(`${eventPrepend}:set:options`, this._setOptionsEventbus, this);
-      targetEventbus.on(`${eventPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
-      targetEventbus.on(`${eventPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
-      targetEventbus.on(`${eventPrepend}:sync:invoke`, this.invokeSync, this);
-      targetEventbus.on(`${eventPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+      const pending = [];
 
-      // Invoke `typhonjs:plugin:manager:eventbus:set` allowing external code to react to eventbus set.
-      targetEventbus.trigger('typhonjs:plugin:manager:eventbus:set',
+      for (const entry of entries)
       {
-         oldEventbus: this._eventbus,
-         oldEventPrepend: oldPrepend,
-         newEventbus: targetEventbus,
-         newEventPrepend: eventPrepend
-      });
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
 
-      this._eventbus = targetEventbus;
+         const invoke = () =>
+         {
+            if (!s_IS_ACTIVE(entry, this._pluginMap)) { return s_SKIP_RESULT; }
 
-      return this;
+            return Promise.resolve(s_INVOKE_METHOD(entry, methodName, args, dispatch)).then(
+             (result) => ({ pluginName: entry.name, result, error: dispatch.errors.get(entry.name) }));
+         };
+
+         // Any error thrown synchronously is reported in the yielded item of the plugin.
+         pending.push(new Promise((resolve) => resolve(dispatch.limit ? dispatch.limit(invoke) : invoke())).then(
+          void 0, (error) => ({ pluginName: entry.name, result: void 0, error })));
+      }
+
+      return s_CREATE_ASYNC_ITERABLE(pending, options);
    }
 
    /**
-    * Sets the eventbus associated with this plugin manager. If any previous eventbus was associated all plugin manager
-    * events will be removed then added to the new eventbus. If there are any existing plugins being managed their
-    * events will be removed from the old eventbus and then `onPluginLoad` will be called with the new eventbus.
+    * This dispatch method awaits upon each invoked target before invoking the next target passing back a single value
+    * or an array with all results. Unlike {@link PluginManager#invokeAsync} targets are invoked serially, so a target
+    * may rely on any preceding target having completed.
     *
-    * @param {TyphonEvents}   targetEventbus - The target eventbus to associate.
+    * @param {string}               methodName - Method name to invoke.
     *
-    * @param {string}         [eventPrepend='plugins'] - An optional string to prepend to all of the event binding
-    *                                                    targets.
+    * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
     *
-    * @returns {Promise<PluginManager>}
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {Promise<*|Array<*>>}
     */
-   async setEventbusAsync(targetEventbus, eventPrepend = 'plugins')
+   async invokeAsyncSeries(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      if (typeof targetEventbus !== 'object') { throw new TypeError(`'targetEventbus' is not an 'object'.`); }
-      if (typeof eventPrepend !== 'string') { throw new TypeError(`'eventPrepend' is not a 'string'.`); }
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
 
-      // Early escape if the targetEventbus is the same as the current eventbus.
-      if (targetEventbus === this._eventbus) { return this; }
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
 
-      const oldPrepend = this._eventPrepend;
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
 
-      /**
-       * Stores the prepend string for eventbus registration.
-       * @type {string}
-       * @private
-       */
-      this._eventPrepend = eventPrepend;
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { async: true, extraEventData: this._extraEventData,
+       pluginMap: this._pluginMap });
 
-      // Unload and reload any existing plugins from the old eventbus to the target eventbus.
-      if (this._pluginMap.size > 0)
-      {
-         // Invoke private module method which allows skipping optional error checking.
-         await s_INVOKE_ASYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, this._pluginMap.keys(),
-          this._pluginMap, this._options, false);
+      // Capture results.
+      let result = void 0;
+      const results = [];
 
-         for (const entry of this._pluginMap.values())
-         {
-            // Automatically remove any potential reference to a stored event proxy instance.
-            try
-            {
-               entry.instance._eventbus = void 0;
-            }
-            catch (err) { /* nop */ }
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return result; }
 
-            entry.data.manager.eventPrepend = eventPrepend;
-            entry.data.plugin.scopedName = `${eventPrepend}:${entry.name}`;
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
 
-            if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
+      for (const entry of entries)
+      {
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
 
-            entry.eventProxy = new EventProxy(targetEventbus);
-         }
+         s_THROW_IF_ABORTED(options.signal);
 
-         // Invoke private module method which allows skipping optional error checking.
-         await s_INVOKE_ASYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, this._pluginMap.keys(),
-          this._pluginMap, this._options, false);
+         const pending = s_INVOKE_METHOD(entry, methodName, args, dispatch);
 
-         for (const entry of this._pluginMap.values())
-         {
-            // Invoke `typhonjs:plugin:manager:eventbus:changed` allowing external code to react to plugin
-            // changing eventbus.
-            if (this._eventbus)
-            {
-               this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:changed`, Object.assign({
-                  oldEventbus: this._eventbus,
-                  oldManagerEventPrepend: oldPrepend,
-                  oldScopedName: `${oldPrepend}:${entry.name}`,
-                  newEventbus: targetEventbus,
-                  newManagerEventPrepend: eventPrepend,
-                  newScopedName: `${eventPrepend}:${entry.name}`
-               }, JSON.parse(JSON.stringify(entry.data))));
-            }
-         }
+         result = await s_RACE_ABORT(pending, options.signal); // eslint-disable-line babel/no-await-in-loop
+
+         // Only collect valid results.
+         if (result !== null && typeof result !== 'undefined') { results.push(result); }
       }
 
-      if (this._eventbus !== null)
+      if (options.throwNoPlugin && !hasPlugin)
       {
-         this._eventbus.off(`${oldPrepend}:add`, this._addEventbus, this);
-         this._eventbus.off(`${oldPrepend}:add:all`, this._addAllEventbus, this);
-         this._eventbus.off(`${oldPrepend}:async:add`, this._addEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:add:all`, this._addAllEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:invoke`, this.invokeAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
-         this._eventbus.off(`${oldPrepend}:async:remove`, this._removeEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
-         this._eventbus.off(`${oldPrepend}:create:event:proxy`, this.createEventProxy, this);
-         this._eventbus.off(`${oldPrepend}:destroy:manager`, this._destroyEventbus, this);
-         this._eventbus.off(`${oldPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
-         this._eventbus.off(`${oldPrepend}:get:extra:event:data`, this.getExtraEventData, this);
-         this._eventbus.off(`${oldPrepend}:get:method:names`, this.getMethodNames, this);
-         this._eventbus.off(`${oldPrepend}:get:options`, this.getOptions, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:data`, this.getPluginData, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:names`, this.getPluginNames, this);
-         this._eventbus.off(`${oldPrepend}:get:plugin:options`, this.getPluginOptions, this);
-         this._eventbus.off(`${oldPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
-         this._eventbus.off(`${oldPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
-         this._eventbus.off(`${oldPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
-         this._eventbus.off(`${oldPrepend}:has:method`, this.hasMethod, this);
-         this._eventbus.off(`${oldPrepend}:has:plugin`, this.hasPlugin, this);
-         this._eventbus.off(`${oldPrepend}:has:plugin:method`, this.hasPluginMethod, this);
-         this._eventbus.off(`${oldPrepend}:invoke`, this.invoke, this);
-         this._eventbus.off(`${oldPrepend}:is:valid:config`, this.isValidConfig, this);
-         this._eventbus.off(`${oldPrepend}:remove`, this._removeEventbus, this);
-         this._eventbus.off(`${oldPrepend}:remove:all`, this._removeAllEventbus, this);
-         this._eventbus.off(`${oldPrepend}:set:extra:event:data`, this.setExtraEventData, this);
-         this._eventbus.off(`${oldPrepend}:set:options`, this._setOptionsEventbus, this);
-         this._eventbus.off(`${oldPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
-         this._eventbus.off(`${oldPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
-         this._eventbus.off(`${oldPrepend}:sync:invoke`, this.invokeSync, this);
-         this._eventbus.off(`${oldPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
 
-         // Invoke `typhonjs:plugin:manager:eventbus:removed` allowing external code to react to eventbus removal.
-         this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:removed`,
-         {
-            oldEventbus: this._eventbus,
-            oldEventPrepend: oldPrepend,
-            newEventbus: targetEventbus,
-            newEventPrepend: eventPrepend
-         });
+      if (options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
       }
 
-      targetEventbus.on(`${eventPrepend}:add`, this._addEventbus, this);
-      targetEventbus.on(`${eventPrepend}:add:all`, this._addAllEventbus, this);
-      targetEventbus.on(`${eventPrepend}:async:add`, this._addEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:add:all`, this._addAllEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:invoke`, this.invokeAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
-      targetEventbus.on(`${eventPrepend}:async:remove`, this._removeEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
-      targetEventbus.on(`${eventPrepend}:create:event:proxy`, this.createEventProxy, this);
-      targetEventbus.on(`${eventPrepend}:destroy:manager`, this._destroyEventbus, this);
-      targetEventbus.on(`${eventPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
-      targetEventbus.on(`${eventPrepend}:get:extra:event:data`, this.getExtraEventData, this);
-      targetEventbus.on(`${eventPrepend}:get:method:names`, this.getMethodNames, this);
-      targetEventbus.on(`${eventPrepend}:get:options`, this.getOptions, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:data`, this.getPluginData, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:names`, this.getPluginNames, this);
-      targetEventbus.on(`${eventPrepend}:get:plugin:options`, this.getPluginOptions, this);
-      targetEventbus.on(`${eventPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
-      targetEventbus.on(`${eventPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
-      targetEventbus.on(`${eventPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
-      targetEventbus.on(`${eventPrepend}:has:method`, this.hasMethod, this);
-      targetEventbus.on(`${eventPrepend}:has:plugin`, this.hasPlugin, this);
-      targetEventbus.on(`${eventPrepend}:has:plugin:method`, this.hasPluginMethod, this);
-      targetEventbus.on(`${eventPrepend}:invoke`, this.invoke, this);
-      targetEventbus.on(`${eventPrepend}:is:valid:config`, this.isValidConfig, this);
-      targetEventbus.on(`${eventPrepend}:remove`, this._removeEventbus, this);
-      targetEventbus.on(`${eventPrepend}:remove:all`, this._removeAllEventbus, this);
-      targetEventbus.on(`${eventPrepend}:set:extra:event:data`, this.setExtraEventData, this);
-      targetEventbus.on(`${eventPrepend}:set:options`, this._setOptionsEventbus, this);
-      targetEventbus.on(`${eventPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
-      targetEventbus.on(`${eventPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
-      targetEventbus.on(`${eventPrepend}:sync:invoke`, this.invokeSync, this);
-      targetEventbus.on(`${eventPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+      return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, results.length > 1 ? results : results[0]);
+   }
 
-      // Invoke `typhonjs:plugin:manager:eventbus:set` allowing external code to react to eventbus set.
-      targetEventbus.trigger('typhonjs:plugin:manager:eventbus:set',
+   /**
+    * This dispatch method threads a value through each invoked target in series. Each target is invoked with the
+    * awaited value returned by the preceding target and the final value is returned. A target returning `undefined`
+    * passes on the value it received.
+    *
+    * @param {string}               methodName - Method name to invoke.
+    *
+    * @param {*}                    [initialValue] - The value passed to the first invoked target.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {Promise<*>}
+    */
+   async invokeAsyncWaterfall(methodName, initialValue = void 0, nameOrList = void 0, invokeOptions = void 0)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
+
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
+
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { async: true, extraEventData: this._extraEventData,
+       pluginMap: this._pluginMap });
+
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return initialValue; }
+
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
+
+      let value = initialValue;
+
+      for (const entry of entries)
       {
-         oldEventbus: this._eventbus,
-         oldEventPrepend: oldPrepend,
-         newEventbus: targetEventbus,
-         newEventPrepend: eventPrepend
-      });
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
 
-      this._eventbus = targetEventbus;
+         s_THROW_IF_ABORTED(options.signal);
 
-      return this;
+         const pending = s_INVOKE_METHOD(entry, methodName, [value], dispatch);
+
+         const result = await s_RACE_ABORT(pending, options.signal); // eslint-disable-line babel/no-await-in-loop
+
+         if (typeof result !== 'undefined') { value = result; }
+      }
+
+      if (options.throwNoPlugin && !hasPlugin)
+      {
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
+
+      if (options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      }
+
+      return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, value);
    }
 
    /**
-    * Sets any extra event data attached to PluginEvent `extra` field.
+    * This dispatch method synchronously invokes targets in order until a target returns a result that is not `null` or
+    * `undefined`. Any remaining targets are not invoked.
     *
-    * @param {*}  extraEventData - Adds extra data to PluginEvent `extra` field.
+    * @param {string}               methodName - Method name to invoke.
+    *
+    * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {{pluginName: string, result: *}|undefined} The name of the answering plugin and its result or undefined
+    *                                                      if no target returned a result.
     */
-   setExtraEventData(extraEventData = void 0)
+   invokeFirst(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      this._extraEventData = extraEventData;
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
+
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
+
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { extraEventData: this._extraEventData, pluginMap: this._pluginMap });
+
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return void 0; }
+
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
+
+      for (const entry of entries)
+      {
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
+
+         const result = s_INVOKE_METHOD(entry, methodName, args, dispatch);
+
+         if (result !== null && typeof result !== 'undefined')
+         {
+            return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, { pluginName: entry.name, result });
+         }
+      }
+
+      if (options.throwNoPlugin && !hasPlugin)
+      {
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
+
+      if (options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      }
+
+      return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, void 0);
    }
 
    /**
-    * Set optional parameters. All parameters are off by default.
+    * This dispatch method invokes targets in series awaiting each result until a target resolves a result that is not
+    * `null` or `undefined`. Any remaining targets are not invoked.
     *
-    * @param {PluginManagerOptions} options - Defines optional parameters to set.
+    * @param {string}               methodName - Method name to invoke.
+    *
+    * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {Promise<{pluginName: string, result: *}|undefined>} The name of the answering plugin and its result or
+    *                                                               undefined if no target returned a result.
     */
-   setOptions(options = {})
+   async invokeFirstAsync(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
 
-      if (typeof options.pluginsEnabled === 'boolean') { this._options.pluginsEnabled = options.pluginsEnabled; }
-      if (typeof options.noEventAdd === 'boolean') { this._options.noEventAdd = options.noEventAdd; }
-      if (typeof options.noEventDestroy === 'boolean') { this._options.noEventDestroy = options.noEventDestroy; }
-      if (typeof options.noEventOptions === 'boolean') { this._options.noEventOptions = options.noEventOptions; }
-      if (typeof options.noEventRemoval === 'boolean') { this._options.noEventRemoval = options.noEventRemoval; }
-      if (typeof options.throwNoMethod === 'boolean') { this._options.throwNoMethod = options.throwNoMethod; }
-      if (typeof options.throwNoPlugin === 'boolean') { this._options.throwNoPlugin = options.throwNoPlugin; }
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
+
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { async: true, extraEventData: this._extraEventData,
+       pluginMap: this._pluginMap });
+
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return void 0; }
+
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
+
+      for (const entry of entries)
+      {
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
+
+         s_THROW_IF_ABORTED(options.signal);
+
+         const pending = s_INVOKE_METHOD(entry, methodName, args, dispatch);
+
+         const result = await s_RACE_ABORT(pending, options.signal); // eslint-disable-line babel/no-await-in-loop
+
+         if (result !== null && typeof result !== 'undefined')
+         {
+            return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, { pluginName: entry.name, result });
+         }
+      }
+
+      if (options.throwNoPlugin && !hasPlugin)
+      {
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
+
+      if (options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      }
+
+      return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, void 0);
    }
 
    /**
-    * Provides the eventbus callback which may prevent plugin manager options being set if optional `noEventOptions` is
-    * enabled. This disables the ability for the plugin manager options to be set via events preventing any external
-    * code modifying options.
+    * This dispatch method synchronously passes back a single value or an array with all results returned by any
+    * invoked targets.
     *
-    * @param {PluginManagerOptions} options - Defines optional parameters to set.
+    * @param {string}               methodName - Method name to invoke.
     *
-    * @private
+    * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {*|Array<*>}
     */
-   _setOptionsEventbus(options = {})
+   invokeSync(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      if (!this._options.noEventOptions) { this.setOptions(options); }
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
+
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
+
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { extraEventData: this._extraEventData, pluginMap: this._pluginMap });
+
+      // Capture results.
+      let result = void 0;
+      const results = [];
+
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return result; }
+
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
+
+      for (const entry of entries)
+      {
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
+
+         result = s_INVOKE_METHOD(entry, methodName, args, dispatch);
+
+         // Only collect valid results.
+         if (result !== null && typeof result !== 'undefined') { results.push(result); }
+      }
+
+      if (options.throwNoPlugin && !hasPlugin)
+      {
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
+
+      if (options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      }
+
+      // Return the results array if there are more than one or just a single result.
+      return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, results.length > 1 ? results : results[0]);
    }
 
    /**
-    * Enables or disables a single plugin.
+    * This dispatch method invokes all targets like {@link PluginManager#invokeSync}, but always passes back an array
+    * with a record for each invoked plugin in dispatch order holding the plugin name, result, any error, and duration.
+    * Errors thrown by plugins are reported in the records instead of being handled by the error policy.
     *
-    * @param {string}   pluginName - Plugin name to set state.
-    * @param {boolean}  enabled - The new enabled state.
+    * @param {string}               methodName - Method name to invoke.
     *
-    * @returns {boolean} - Operation success.
+    * @param {*|Array<*>}           [args] - Optional arguments. An array will be spread as multiple arguments.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {Array<InvokeDetailedResult>}
     */
-   setPluginEnabled(pluginName, enabled)
+   invokeSyncDetailed(methodName, args = void 0, nameOrList = void 0, invokeOptions = void 0)
    {
       if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
 
-      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
-      if (typeof enabled !== 'boolean') { throw new TypeError(`'enabled' is not a boolean.`); }
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
+
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
+
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+
+      // Errors are always collected and reported in the detailed results.
+      const dispatch = s_CREATE_DISPATCH(Object.assign({}, options, { errorPolicy: 'collect' }),
+       { extraEventData: this._extraEventData, pluginMap: this._pluginMap });
+
+      const results = [];
+
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return results; }
+
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
+
+      for (const entry of entries)
+      {
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
+
+         const start = s_NOW();
+
+         const result = s_INVOKE_METHOD(entry, methodName, args, dispatch);
+
+         results.push(s_CREATE_DETAILED_RESULT(entry, result, dispatch, start));
+      }
+
+      if (options.throwNoPlugin && !hasPlugin)
+      {
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
+
+      if (options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      }
+
+      return results;
+   }
+
+   /**
+    * This dispatch method synchronously passes to and returns from any invoked targets a PluginEvent.
+    *
+    * @param {string}               methodName - Method name to invoke.
+    *
+    * @param {object}               [copyProps={}] - plugin event object.
+    *
+    * @param {object}               [passthruProps={}] - if true, event has plugin option.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {PluginEvent|undefined}
+    */
+   invokeSyncEvent(methodName, copyProps = {}, passthruProps = {}, nameOrList = void 0, invokeOptions = void 0)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return void 0; }
+
+      // Invokes the private internal sync events method with optional error checking enabled.
+      return s_INVOKE_SYNC_EVENTS(methodName, copyProps, passthruProps, this._extraEventData, nameOrList,
+       this._pluginMap, s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics));
+   }
+
+   /**
+    * This dispatch method synchronously threads a value through each invoked target. Each target is invoked with the
+    * value returned by the preceding target and the final value is returned. A target returning `undefined` passes on
+    * the value it received.
+    *
+    * @param {string}               methodName - Method name to invoke.
+    *
+    * @param {*}                    [initialValue] - The value passed to the first invoked target.
+    *
+    * @param {PluginSelector}       [nameOrList] - An optional plugin name, array / iterable of plugin names, or
+    *                                              selector of plugins to invoke.
+    *
+    * @param {InvokeOptions}        [invokeOptions] - Optional invocation options overriding plugin manager options.
+    *
+    * @returns {*}
+    */
+   invokeWaterfall(methodName, initialValue = void 0, nameOrList = void 0, invokeOptions = void 0)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
+
+      if (typeof nameOrList === 'undefined') { nameOrList = this._pluginMap.keys(); }
+
+      nameOrList = s_RESOLVE_SELECTOR(nameOrList, this._pluginMap);
+
+      const options = s_GET_INVOKE_OPTIONS(this._options, invokeOptions, this._middleware, this._metrics);
+      const dispatch = s_CREATE_DISPATCH(options, { extraEventData: this._extraEventData, pluginMap: this._pluginMap });
+
+      // Early out if plugins are not enabled.
+      if (!this._options.pluginsEnabled) { return initialValue; }
+
+      // Track if a plugin method is invoked.
+      const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, this._pluginMap);
+      const hasMethod = entries.length > 0;
+
+      let value = initialValue;
+
+      for (const entry of entries)
+      {
+         if (!s_IS_ACTIVE(entry, this._pluginMap)) { continue; }
+
+         const result = s_INVOKE_METHOD(entry, methodName, [value], dispatch);
+
+         if (typeof result !== 'undefined') { value = result; }
+      }
+
+      if (options.throwNoPlugin && !hasPlugin)
+      {
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
+
+      if (options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      }
+
+      return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, value);
+   }
+
+   /**
+    * Performs validation of a PluginConfig.
+    *
+    * @param {PluginConfig}   pluginConfig - A PluginConfig to validate.
+    *
+    * @returns {boolean} True if the given PluginConfig is valid.
+    */
+   isValidConfig(pluginConfig)
+   {
+      if (typeof pluginConfig !== 'object') { return false; }
+
+      if (typeof pluginConfig.name !== 'string') { return false; }
+
+      if (typeof pluginConfig.target !== 'undefined' && typeof pluginConfig.target !== 'string') { return false; }
+
+      if (typeof pluginConfig.cwd !== 'undefined' && typeof pluginConfig.cwd !== 'string') { return false; }
+
+      if (typeof pluginConfig.options !== 'undefined' && typeof pluginConfig.options !== 'object') { return false; }
+
+      if (typeof pluginConfig.dependencies !== 'undefined' && !s_IS_STRING_ARRAY(pluginConfig.dependencies))
+      {
+         return false;
+      }
+
+      if (typeof pluginConfig.factory !== 'undefined' && typeof pluginConfig.factory !== 'boolean') { return false; }
+
+      if (typeof pluginConfig.construct !== 'undefined' && typeof pluginConfig.construct !== 'boolean')
+      {
+         return false;
+      }
+
+      if (pluginConfig.factory && pluginConfig.construct) { return false; }
+
+      if (typeof pluginConfig.priority !== 'undefined' && !Number.isFinite(pluginConfig.priority)) { return false; }
+
+      if (typeof pluginConfig.tags !== 'undefined' && !s_IS_STRING_ARRAY(pluginConfig.tags)) { return false; }
+
+      return true;
+   }
+
+   /**
+    * Sets the eventbus associated with this plugin manager. If any previous eventbus was associated all plugin manager
+    * events will be removed then added to the new eventbus. If there are any existing plugins being managed their
+    * events will be removed from the old eventbus and then `onPluginLoad` will be called with the new eventbus.
+    *
+    * @param {TyphonEvents}   targetEventbus - The target eventbus to associate.
+    *
+    * @param {string}         [eventPrepend='plugins'] - An optional string to prepend to all of the event binding
+    *                                                    targets.
+    *
+    * @returns {PluginManager}
+    */
+   setEventbus(targetEventbus, eventPrepend = 'plugins')
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof targetEventbus !== 'object') { throw new TypeError(`'targetEventbus' is not an 'object'.`); }
+      if (typeof eventPrepend !== 'string') { throw new TypeError(`'eventPrepend' is not a 'string'.`); }
+
+      // Early escape if the targetEventbus is the same as the current eventbus.
+      if (targetEventbus === this._eventbus) { return this; }
+
+      const oldPrepend = this._eventPrepend;
+
+      /**
+       * Stores the prepend string for eventbus registration.
+       * @type {string}
+       * @private
+       */
+      this._eventPrepend = eventPrepend;
+
+      // Unload and reload any existing plugins from the old eventbus to the target eventbus.
+      if (this._pluginMap.size > 0)
+      {
+         // Invoke private module method which allows skipping optional error checking.
+         s_INVOKE_SYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, this._pluginMap.keys(),
+          this._pluginMap, this._options, false);
+
+         for (const entry of this._pluginMap.values())
+         {
+            // Automatically remove any potential reference to a stored event proxy instance.
+            try
+            {
+               entry.instance._eventbus = void 0;
+            }
+            catch (err) { /* nop */ }
+
+            entry.data.manager.eventPrepend = eventPrepend;
+            entry.data.plugin.scopedName = `${eventPrepend}:${entry.name}`;
+
+            if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
+
+            entry.eventProxy = new EventProxy(targetEventbus);
+         }
+
+         // Invoke private module method which allows skipping optional error checking.
+         s_INVOKE_SYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, this._pluginMap.keys(),
+          this._pluginMap, this._options, false);
+
+         for (const entry of this._pluginMap.values())
+         {
+            // Invoke `typhonjs:plugin:manager:eventbus:changed` allowing external code to react to plugin
+            // changing eventbus.
+            if (this._eventbus)
+            {
+               this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:changed`, Object.assign({
+                  oldEventbus: this._eventbus,
+                  oldManagerEventPrepend: oldPrepend,
+                  oldScopedName: `${oldPrepend}:${entry.name}`,
+                  newEventbus: targetEventbus,
+                  newManagerEventPrepend: eventPrepend,
+                  newScopedName: `${eventPrepend}:${entry.name}`
+               }, JSON.parse(JSON.stringify(entry.data))));
+            }
+         }
+      }
+
+      if (this._eventbus !== null)
+      {
+         this._eventbus.off(`${oldPrepend}:add`, this._addEventbus, this);
+         this._eventbus.off(`${oldPrepend}:add:all`, this._addAllEventbus, this);
+         this._eventbus.off(`${oldPrepend}:async:add`, this._addEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:add:all`, this._addAllEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke`, this.invokeAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:detailed`, this.invokeAsyncDetailed, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:event:series`, this.invokeAsyncEventSeries, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:first`, this.invokeFirstAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:iterator`, this.invokeAsyncIterator, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:series`, this.invokeAsyncSeries, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:waterfall`, this.invokeAsyncWaterfall, this);
+         this._eventbus.off(`${oldPrepend}:async:remove`, this._removeEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:create:event:proxy`, this.createEventProxy, this);
+         this._eventbus.off(`${oldPrepend}:destroy:manager`, this._destroyEventbus, this);
+         this._eventbus.off(`${oldPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
+         this._eventbus.off(`${oldPrepend}:get:extra:event:data`, this.getExtraEventData, this);
+         this._eventbus.off(`${oldPrepend}:get:metrics`, this.getMetrics, this);
+         this._eventbus.off(`${oldPrepend}:get:method:names`, this.getMethodNames, this);
+         this._eventbus.off(`${oldPrepend}:get:options`, this.getOptions, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:priority`, this.getPluginPriority, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:data`, this.getPluginData, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:names`, this.getPluginNames, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:options`, this.getPluginOptions, this);
+         this._eventbus.off(`${oldPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
+         this._eventbus.off(`${oldPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
+         this._eventbus.off(`${oldPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
+         this._eventbus.off(`${oldPrepend}:has:method`, this.hasMethod, this);
+         this._eventbus.off(`${oldPrepend}:has:plugin`, this.hasPlugin, this);
+         this._eventbus.off(`${oldPrepend}:has:plugin:method`, this.hasPluginMethod, this);
+         this._eventbus.off(`${oldPrepend}:invoke`, this.invoke, this);
+         this._eventbus.off(`${oldPrepend}:is:valid:config`, this.isValidConfig, this);
+         this._eventbus.off(`${oldPrepend}:remove`, this._removeEventbus, this);
+         this._eventbus.off(`${oldPrepend}:remove:all`, this._removeAllEventbus, this);
+         this._eventbus.off(`${oldPrepend}:set:extra:event:data`, this.setExtraEventData, this);
+         this._eventbus.off(`${oldPrepend}:set:options`, this._setOptionsEventbus, this);
+         this._eventbus.off(`${oldPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
+         this._eventbus.off(`${oldPrepend}:set:plugin:priority`, this.setPluginPriority, this);
+         this._eventbus.off(`${oldPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke`, this.invokeSync, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:detailed`, this.invokeSyncDetailed, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:first`, this.invokeFirst, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:waterfall`, this.invokeWaterfall, this);
+
+         // Invoke `typhonjs:plugin:manager:eventbus:removed` allowing external code to react to eventbus removal.
+         this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:removed`,
+         {
+            oldEventbus: this._eventbus,
+            oldEventPrepend: oldPrepend,
+            newEventbus: targetEventbus,
+            newEventPrepend: eventPrepend
+         });
+      }
+
+      targetEventbus.on(`${eventPrepend}:add`, this._addEventbus, this);
+      targetEventbus.on(`${eventPrepend}:add:all`, this._addAllEventbus, this);
+      targetEventbus.on(`${eventPrepend}:async:add`, this._addEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:add:all`, this._addAllEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke`, this.invokeAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:detailed`, this.invokeAsyncDetailed, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:event:series`, this.invokeAsyncEventSeries, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:first`, this.invokeFirstAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:iterator`, this.invokeAsyncIterator, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:series`, this.invokeAsyncSeries, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:waterfall`, this.invokeAsyncWaterfall, this);
+      targetEventbus.on(`${eventPrepend}:async:remove`, this._removeEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:create:event:proxy`, this.createEventProxy, this);
+      targetEventbus.on(`${eventPrepend}:destroy:manager`, this._destroyEventbus, this);
+      targetEventbus.on(`${eventPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
+      targetEventbus.on(`${eventPrepend}:get:extra:event:data`, this.getExtraEventData, this);
+      targetEventbus.on(`${eventPrepend}:get:metrics`, this.getMetrics, this);
+      targetEventbus.on(`${eventPrepend}:get:method:names`, this.getMethodNames, this);
+      targetEventbus.on(`${eventPrepend}:get:options`, this.getOptions, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:data`, this.getPluginData, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:priority`, this.getPluginPriority, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:names`, this.getPluginNames, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:options`, this.getPluginOptions, this);
+      targetEventbus.on(`${eventPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
+      targetEventbus.on(`${eventPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
+      targetEventbus.on(`${eventPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
+      targetEventbus.on(`${eventPrepend}:has:method`, this.hasMethod, this);
+      targetEventbus.on(`${eventPrepend}:has:plugin`, this.hasPlugin, this);
+      targetEventbus.on(`${eventPrepend}:has:plugin:method`, this.hasPluginMethod, this);
+      targetEventbus.on(`${eventPrepend}:invoke`, this.invoke, this);
+      targetEventbus.on(`${eventPrepend}:is:valid:config`, this.isValidConfig, this);
+      targetEventbus.on(`${eventPrepend}:remove`, this._removeEventbus, this);
+      targetEventbus.on(`${eventPrepend}:remove:all`, this._removeAllEventbus, this);
+      targetEventbus.on(`${eventPrepend}:set:extra:event:data`, this.setExtraEventData, this);
+      targetEventbus.on(`${eventPrepend}:set:options`, this._setOptionsEventbus, this);
+      targetEventbus.on(`${eventPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
+      targetEventbus.on(`${eventPrepend}:set:plugin:priority`, this.setPluginPriority, this);
+      targetEventbus.on(`${eventPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke`, this.invokeSync, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:detailed`, this.invokeSyncDetailed, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:first`, this.invokeFirst, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:waterfall`, this.invokeWaterfall, this);
+
+      // Invoke `typhonjs:plugin:manager:eventbus:set` allowing external code to react to eventbus set.
+      targetEventbus.trigger('typhonjs:plugin:manager:eventbus:set',
+      {
+         oldEventbus: this._eventbus,
+         oldEventPrepend: oldPrepend,
+         newEventbus: targetEventbus,
+         newEventPrepend: eventPrepend
+      });
+
+      this._eventbus = targetEventbus;
+
+      return this;
+   }
+
+   /**
+    * Sets the eventbus associated with this plugin manager. If any previous eventbus was associated all plugin manager
+    * events will be removed then added to the new eventbus. If there are any existing plugins being managed their
+    * events will be removed from the old eventbus and then `onPluginLoad` will be called with the new eventbus.
+    *
+    * @param {TyphonEvents}   targetEventbus - The target eventbus to associate.
+    *
+    * @param {string}         [eventPrepend='plugins'] - An optional string to prepend to all of the event binding
+    *                                                    targets.
+    *
+    * @returns {Promise<PluginManager>}
+    */
+   async setEventbusAsync(targetEventbus, eventPrepend = 'plugins')
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof targetEventbus !== 'object') { throw new TypeError(`'targetEventbus' is not an 'object'.`); }
+      if (typeof eventPrepend !== 'string') { throw new TypeError(`'eventPrepend' is not a 'string'.`); }
+
+      // Early escape if the targetEventbus is the same as the current eventbus.
+      if (targetEventbus === this._eventbus) { return this; }
+
+      const oldPrepend = this._eventPrepend;
+
+      /**
+       * Stores the prepend string for eventbus registration.
+       * @type {string}
+       * @private
+       */
+      this._eventPrepend = eventPrepend;
+
+      // Unload and reload any existing plugins from the old eventbus to the target eventbus.
+      if (this._pluginMap.size > 0)
+      {
+         // Invoke private module method which allows skipping optional error checking.
+         await s_INVOKE_ASYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, this._pluginMap.keys(),
+          this._pluginMap, this._options, false);
+
+         for (const entry of this._pluginMap.values())
+         {
+            // Automatically remove any potential reference to a stored event proxy instance.
+            try
+            {
+               entry.instance._eventbus = void 0;
+            }
+            catch (err) { /* nop */ }
+
+            entry.data.manager.eventPrepend = eventPrepend;
+            entry.data.plugin.scopedName = `${eventPrepend}:${entry.name}`;
+
+            if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
+
+            entry.eventProxy = new EventProxy(targetEventbus);
+         }
+
+         // Invoke private module method which allows skipping optional error checking.
+         await s_INVOKE_ASYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, this._pluginMap.keys(),
+          this._pluginMap, this._options, false);
+
+         for (const entry of this._pluginMap.values())
+         {
+            // Invoke `typhonjs:plugin:manager:eventbus:changed` allowing external code to react to plugin
+            // changing eventbus.
+            if (this._eventbus)
+            {
+               this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:changed`, Object.assign({
+                  oldEventbus: this._eventbus,
+                  oldManagerEventPrepend: oldPrepend,
+                  oldScopedName: `${oldPrepend}:${entry.name}`,
+                  newEventbus: targetEventbus,
+                  newManagerEventPrepend: eventPrepend,
+                  newScopedName: `${eventPrepend}:${entry.name}`
+               }, JSON.parse(JSON.stringify(entry.data))));
+            }
+         }
+      }
+
+      if (this._eventbus !== null)
+      {
+         this._eventbus.off(`${oldPrepend}:add`, this._addEventbus, this);
+         this._eventbus.off(`${oldPrepend}:add:all`, this._addAllEventbus, this);
+         this._eventbus.off(`${oldPrepend}:async:add`, this._addEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:add:all`, this._addAllEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke`, this.invokeAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:detailed`, this.invokeAsyncDetailed, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:event:series`, this.invokeAsyncEventSeries, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:first`, this.invokeFirstAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:iterator`, this.invokeAsyncIterator, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:series`, this.invokeAsyncSeries, this);
+         this._eventbus.off(`${oldPrepend}:async:invoke:waterfall`, this.invokeAsyncWaterfall, this);
+         this._eventbus.off(`${oldPrepend}:async:remove`, this._removeEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
+         this._eventbus.off(`${oldPrepend}:create:event:proxy`, this.createEventProxy, this);
+         this._eventbus.off(`${oldPrepend}:destroy:manager`, this._destroyEventbus, this);
+         this._eventbus.off(`${oldPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
+         this._eventbus.off(`${oldPrepend}:get:extra:event:data`, this.getExtraEventData, this);
+         this._eventbus.off(`${oldPrepend}:get:metrics`, this.getMetrics, this);
+         this._eventbus.off(`${oldPrepend}:get:method:names`, this.getMethodNames, this);
+         this._eventbus.off(`${oldPrepend}:get:options`, this.getOptions, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:priority`, this.getPluginPriority, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:data`, this.getPluginData, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:names`, this.getPluginNames, this);
+         this._eventbus.off(`${oldPrepend}:get:plugin:options`, this.getPluginOptions, this);
+         this._eventbus.off(`${oldPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
+         this._eventbus.off(`${oldPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
+         this._eventbus.off(`${oldPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
+         this._eventbus.off(`${oldPrepend}:has:method`, this.hasMethod, this);
+         this._eventbus.off(`${oldPrepend}:has:plugin`, this.hasPlugin, this);
+         this._eventbus.off(`${oldPrepend}:has:plugin:method`, this.hasPluginMethod, this);
+         this._eventbus.off(`${oldPrepend}:invoke`, this.invoke, this);
+         this._eventbus.off(`${oldPrepend}:is:valid:config`, this.isValidConfig, this);
+         this._eventbus.off(`${oldPrepend}:remove`, this._removeEventbus, this);
+         this._eventbus.off(`${oldPrepend}:remove:all`, this._removeAllEventbus, this);
+         this._eventbus.off(`${oldPrepend}:set:extra:event:data`, this.setExtraEventData, this);
+         this._eventbus.off(`${oldPrepend}:set:options`, this._setOptionsEventbus, this);
+         this._eventbus.off(`${oldPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
+         this._eventbus.off(`${oldPrepend}:set:plugin:priority`, this.setPluginPriority, this);
+         this._eventbus.off(`${oldPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke`, this.invokeSync, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:detailed`, this.invokeSyncDetailed, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:first`, this.invokeFirst, this);
+         this._eventbus.off(`${oldPrepend}:sync:invoke:waterfall`, this.invokeWaterfall, this);
+
+         // Invoke `typhonjs:plugin:manager:eventbus:removed` allowing external code to react to eventbus removal.
+         this._eventbus.trigger(`typhonjs:plugin:manager:eventbus:removed`,
+         {
+            oldEventbus: this._eventbus,
+            oldEventPrepend: oldPrepend,
+            newEventbus: targetEventbus,
+            newEventPrepend: eventPrepend
+         });
+      }
+
+      targetEventbus.on(`${eventPrepend}:add`, this._addEventbus, this);
+      targetEventbus.on(`${eventPrepend}:add:all`, this._addAllEventbus, this);
+      targetEventbus.on(`${eventPrepend}:async:add`, this._addEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:add:all`, this._addAllEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:destroy:manager`, this._destroyEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke`, this.invokeAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:detailed`, this.invokeAsyncDetailed, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:event`, this.invokeAsyncEvent, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:event:series`, this.invokeAsyncEventSeries, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:first`, this.invokeFirstAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:iterator`, this.invokeAsyncIterator, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:series`, this.invokeAsyncSeries, this);
+      targetEventbus.on(`${eventPrepend}:async:invoke:waterfall`, this.invokeAsyncWaterfall, this);
+      targetEventbus.on(`${eventPrepend}:async:remove`, this._removeEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:async:remove:all`, this._removeAllEventbusAsync, this);
+      targetEventbus.on(`${eventPrepend}:create:event:proxy`, this.createEventProxy, this);
+      targetEventbus.on(`${eventPrepend}:destroy:manager`, this._destroyEventbus, this);
+      targetEventbus.on(`${eventPrepend}:get:all:plugin:data`, this.getAllPluginData, this);
+      targetEventbus.on(`${eventPrepend}:get:extra:event:data`, this.getExtraEventData, this);
+      targetEventbus.on(`${eventPrepend}:get:metrics`, this.getMetrics, this);
+      targetEventbus.on(`${eventPrepend}:get:method:names`, this.getMethodNames, this);
+      targetEventbus.on(`${eventPrepend}:get:options`, this.getOptions, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:data`, this.getPluginData, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:enabled`, this.getPluginEnabled, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:priority`, this.getPluginPriority, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:event:names`, this.getPluginEventNames, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:method:names`, this.getPluginMethodNames, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:names`, this.getPluginNames, this);
+      targetEventbus.on(`${eventPrepend}:get:plugin:options`, this.getPluginOptions, this);
+      targetEventbus.on(`${eventPrepend}:get:plugins:enabled`, this.getPluginsEnabled, this);
+      targetEventbus.on(`${eventPrepend}:get:plugins:by:event:name`, this.getPluginsByEventName, this);
+      targetEventbus.on(`${eventPrepend}:get:plugins:event:names`, this.getPluginsEventNames, this);
+      targetEventbus.on(`${eventPrepend}:has:method`, this.hasMethod, this);
+      targetEventbus.on(`${eventPrepend}:has:plugin`, this.hasPlugin, this);
+      targetEventbus.on(`${eventPrepend}:has:plugin:method`, this.hasPluginMethod, this);
+      targetEventbus.on(`${eventPrepend}:invoke`, this.invoke, this);
+      targetEventbus.on(`${eventPrepend}:is:valid:config`, this.isValidConfig, this);
+      targetEventbus.on(`${eventPrepend}:remove`, this._removeEventbus, this);
+      targetEventbus.on(`${eventPrepend}:remove:all`, this._removeAllEventbus, this);
+      targetEventbus.on(`${eventPrepend}:set:extra:event:data`, this.setExtraEventData, this);
+      targetEventbus.on(`${eventPrepend}:set:options`, this._setOptionsEventbus, this);
+      targetEventbus.on(`${eventPrepend}:set:plugin:enabled`, this.setPluginEnabled, this);
+      targetEventbus.on(`${eventPrepend}:set:plugin:priority`, this.setPluginPriority, this);
+      targetEventbus.on(`${eventPrepend}:set:plugins:enabled`, this.setPluginsEnabled, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke`, this.invokeSync, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:detailed`, this.invokeSyncDetailed, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:event`, this.invokeSyncEvent, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:first`, this.invokeFirst, this);
+      targetEventbus.on(`${eventPrepend}:sync:invoke:waterfall`, this.invokeWaterfall, this);
+
+      // Invoke `typhonjs:plugin:manager:eventbus:set` allowing external code to react to eventbus set.
+      targetEventbus.trigger('typhonjs:plugin:manager:eventbus:set',
+      {
+         oldEventbus: this._eventbus,
+         oldEventPrepend: oldPrepend,
+         newEventbus: targetEventbus,
+         newEventPrepend: eventPrepend
+      });
+
+      this._eventbus = targetEventbus;
+
+      return this;
+   }
+
+   /**
+    * Sets any extra event data attached to PluginEvent `extra` field.
+    *
+    * @param {*}  extraEventData - Adds extra data to PluginEvent `extra` field.
+    */
+   setExtraEventData(extraEventData = void 0)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      this._extraEventData = extraEventData;
+   }
+
+   /**
+    * Set optional parameters. All parameters are off by default.
+    *
+    * @param {PluginManagerOptions} options - Defines optional parameters to set.
+    */
+   setOptions(options = {})
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an object.`); }
+
+      if (typeof options.asyncTimeout !== 'undefined' && !s_IS_TIMEOUT(options.asyncTimeout))
+      {
+         throw new TypeError(`'options.asyncTimeout' is not a non-negative number.`);
+      }
+
+      if (typeof options.pluginsEnabled === 'boolean') { this._options.pluginsEnabled = options.pluginsEnabled; }
+      if (typeof options.noEventAdd === 'boolean') { this._options.noEventAdd = options.noEventAdd; }
+      if (typeof options.noEventDestroy === 'boolean') { this._options.noEventDestroy = options.noEventDestroy; }
+      if (typeof options.noEventOptions === 'boolean') { this._options.noEventOptions = options.noEventOptions; }
+      if (typeof options.noEventRemoval === 'boolean') { this._options.noEventRemoval = options.noEventRemoval; }
+      if (typeof options.asyncTimeout === 'number') { this._options.asyncTimeout = options.asyncTimeout; }
+      if (typeof options.cascadeRemove === 'boolean') { this._options.cascadeRemove = options.cascadeRemove; }
+
+      if (options.cloneStrategy === 'json' || options.cloneStrategy === 'structured' ||
+       typeof options.cloneStrategy === 'function')
+      {
+         this._options.cloneStrategy = options.cloneStrategy;
+      }
+
+      if (s_IS_CONCURRENCY(options.concurrency)) { this._options.concurrency = options.concurrency; }
+      if (typeof options.invokeHooks === 'boolean') { this._options.invokeHooks = options.invokeHooks; }
+      if (typeof options.metrics === 'boolean') { this._options.metrics = options.metrics; }
+      if (typeof options.readOnlyEvents === 'boolean') { this._options.readOnlyEvents = options.readOnlyEvents; }
+      if (s_ERROR_POLICIES.includes(options.errorPolicy)) { this._options.errorPolicy = options.errorPolicy; }
+      if (typeof options.throwNoMethod === 'boolean') { this._options.throwNoMethod = options.throwNoMethod; }
+      if (typeof options.throwNoPlugin === 'boolean') { this._options.throwNoPlugin = options.throwNoPlugin; }
+      if (typeof options.watchDebounce === 'number') { this._options.watchDebounce = options.watchDebounce; }
+
+      if (typeof options.watch === 'boolean' && options.watch !== this._options.watch)
+      {
+         this._options.watch = options.watch;
+
+         for (const pluginName of this._pluginMap.keys())
+         {
+            if (options.watch) { this._watchPlugin(pluginName); }
+            else { this._unwatchPlugin(pluginName); }
+         }
+      }
+   }
+
+   /**
+    * Provides the eventbus callback which may prevent plugin manager options being set if optional `noEventOptions` is
+    * enabled. This disables the ability for the plugin manager options to be set via events preventing any external
+    * code modifying options.
+    *
+    * @param {PluginManagerOptions} options - Defines optional parameters to set.
+    *
+    * @private
+    */
+   _setOptionsEventbus(options = {})
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (!this._options.noEventOptions) { this.setOptions(options); }
+   }
+
+   /**
+    * Enables or disables a single plugin.
+    *
+    * @param {string}   pluginName - Plugin name to set state.
+    * @param {boolean}  enabled - The new enabled state.
+    *
+    * @returns {boolean} - Operation success.
+    */
+   setPluginEnabled(pluginName, enabled)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
+      if (typeof enabled !== 'boolean') { throw new TypeError(`'enabled' is not a boolean.`); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      if (entry instanceof PluginEntry)
+      {
+         entry.enabled = enabled;
+
+         // Invoke `typhonjs:plugin:manager:plugin:enabled` allowing external code to react to plugin enabled state.
+         if (this._eventbus)
+         {
+            this._eventbus.trigger(`typhonjs:plugin:manager:plugin:enabled`, Object.assign({
+               enabled
+            }, JSON.parse(JSON.stringify(entry.data))));
+         }
+
+         return true;
+      }
+
+      return false;
+   }
+
+   /**
+    * Sets the dispatch priority of a single plugin. Plugins with a higher priority are invoked first by all invoke
+    * methods; plugins with equal priority are invoked in the order added. The `priority` of the plugin data is also
+    * updated.
+    *
+    * @param {string}   pluginName - Plugin name to set priority.
+    * @param {number}   priority - The new priority.
+    *
+    * @returns {boolean} - Operation success.
+    */
+   setPluginPriority(pluginName, priority)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
+      if (!Number.isFinite(priority)) { throw new TypeError(`'priority' is not a finite number.`); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      if (entry instanceof PluginEntry)
+      {
+         entry.priority = priority;
+
+         // Plugin data is frozen so it is replaced by a copy reflecting the new priority.
+         const pluginData = JSON.parse(JSON.stringify(entry.data));
+
+         pluginData.plugin.priority = priority;
+
+         entry.data = ObjectUtil.deepFreeze(pluginData, ['eventPrepend', 'scopedName']);
+
+         return true;
+      }
+
+      return false;
+   }
+
+   /**
+    * Enables or disables a set of plugins given an array or iterabe of plugin names.
+    *
+    * @param {Array<string>}  pluginNames - An array / iterable of plugin names.
+    * @param {boolean}        enabled - The new enabled state.
+    *
+    * @returns {boolean} - Operation success.
+    */
+   setPluginsEnabled(pluginNames, enabled)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof enabled !== 'boolean') { throw new TypeError(`'enabled' is not a boolean.`); }
+
+      let success = true;
+
+      for (const pluginName of pluginNames)
+      {
+         if (!this.setPluginEnabled(pluginName, enabled)) { success = false; }
+      }
+
+      return success;
+   }
+
+   /**
+    * Reloads a plugin by name. For `require-path` and `require-module` plugins the module and any child modules not
+    * located in a `node_modules` directory are purged from the require cache and the module is required again. The new
+    * module is loaded before the existing plugin is unloaded, so if loading fails the existing plugin remains intact.
+    * `onPluginUnload` is then invoked on the existing plugin and `onPluginLoad` on the reloaded plugin with a new
+    * EventProxy. The plugin name, options, enabled state, and position are preserved. `instance` plugins only have the
+    * lifecycle methods invoked. ES module plugins must be reloaded with {@link PluginManager#reloadAsync}.
+    *
+    * @param {string}   pluginName - The plugin name to reload.
+    *
+    * @returns {boolean} - Operation success.
+    */
+   reload(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      if (!(entry instanceof PluginEntry)) { return false; }
+
+      const { cwd, defaultExport, target, type } = entry.data.plugin;
+
+      if (type === 'import-module' || type === 'import-path')
+      {
+         throw new Error(`Plugin '${pluginName}' is an ES module and must be reloaded with 'reloadAsync'.`);
+      }
+
+      const eventProxy = this.createEventProxy();
+
+      let instance;
+
+      try
+      {
+         instance = type === 'instance' ? entry.instance : s_CREATE_INSTANCE(
+          s_GET_MODULE_EXPORT(s_RELOAD_REQUIRE(target, type, cwd), defaultExport), entry.data, eventProxy);
+
+         if (entry.data.plugin.factory && s_IS_THENABLE(instance))
+         {
+            throw new TypeError(
+             `Plugin '${pluginName}' factory returned a Promise; use 'reloadAsync' for asynchronous factories.`);
+         }
+      }
+      catch (err)
+      {
+         if (eventProxy instanceof EventProxy) { eventProxy.destroy(); }
+
+         throw err;
+      }
+
+      // Invoke private module method which allows skipping optional error checking.
+      s_INVOKE_SYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, pluginName, this._pluginMap,
+       this._options, false);
+
+      this._pluginMap.set(pluginName, s_CREATE_RELOADED_ENTRY(entry, instance, eventProxy));
+
+      // Invoke private module method which allows skipping optional error checking.
+      s_INVOKE_SYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, pluginName, this._pluginMap,
+       this._options, false);
+
+      // Local child modules may have changed so watch the reloaded plugin again.
+      if (this._options.watch) { this._watchPlugin(pluginName); }
+
+      // Invoke `typhonjs:plugin:manager:plugin:reloaded` allowing external code to react to plugin reloading.
+      if (this._eventbus)
+      {
+         this._eventbus.trigger(`typhonjs:plugin:manager:plugin:reloaded`, this.getPluginData(pluginName));
+      }
+
+      return true;
+   }
+
+   /**
+    * Reloads a plugin by name. For `require-path` and `require-module` plugins the module and any child modules not
+    * located in a `node_modules` directory are purged from the require cache and the module is required again.
+    * `import-path` plugins are imported again bypassing the ES module cache; child ES modules are not reloaded.
+    * `import-module` plugins can not be reloaded. The new module is loaded before the existing plugin is unloaded, so
+    * if loading fails the existing plugin remains intact. `onPluginUnload` is then awaited on the existing plugin and
+    * `onPluginLoad` on the reloaded plugin with a new EventProxy. The plugin name, options, enabled state, and
+    * position are preserved. `instance` plugins only have the lifecycle methods invoked.
+    *
+    * @param {string}   pluginName - The plugin name to reload.
+    *
+    * @returns {Promise<boolean>} - Operation success.
+    */
+   async reloadAsync(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof pluginName !== 'string') { throw new TypeError(`'pluginName' is not a string.`); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      if (!(entry instanceof PluginEntry)) { return false; }
+
+      const { cwd, defaultExport, target, type } = entry.data.plugin;
+
+      if (type === 'import-module')
+      {
+         throw new Error(`Plugin '${pluginName}' is an ES module loaded from an NPM module and can not be reloaded.`);
+      }
+
+      const eventProxy = this.createEventProxy();
+
+      let instance;
+
+      try
+      {
+         switch (type)
+         {
+            case 'instance':
+               instance = entry.instance;
+               break;
+
+            case 'import-path':
+               instance = s_CREATE_INSTANCE(s_GET_MODULE_EXPORT(await s_RELOAD_IMPORT(target), defaultExport),
+                entry.data, eventProxy);
+               break;
+
+            default:
+               instance = s_CREATE_INSTANCE(s_GET_MODULE_EXPORT(s_RELOAD_REQUIRE(target, type, cwd), defaultExport),
+                entry.data, eventProxy);
+               break;
+         }
+
+         // Asynchronous factories are awaited.
+         if (entry.data.plugin.factory) { instance = await instance; }
+      }
+      catch (err)
+      {
+         if (eventProxy instanceof EventProxy) { eventProxy.destroy(); }
+
+         throw err;
+      }
+
+      // Invoke private module method which allows skipping optional error checking.
+      await s_INVOKE_ASYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, pluginName, this._pluginMap,
+       this._options, false);
+
+      this._pluginMap.set(pluginName, s_CREATE_RELOADED_ENTRY(entry, instance, eventProxy));
+
+      // Invoke private module method which allows skipping optional error checking.
+      await s_INVOKE_ASYNC_EVENTS('onPluginLoad', {}, {}, this._extraEventData, pluginName, this._pluginMap,
+       this._options, false);
+
+      // Local child modules may have changed so watch the reloaded plugin again.
+      if (this._options.watch) { this._watchPlugin(pluginName); }
+
+      // Invoke `typhonjs:plugin:manager:plugin:reloaded` allowing external code to react to plugin reloading.
+      if (this._eventbus)
+      {
+         await this._eventbus.triggerAsync(`typhonjs:plugin:manager:plugin:reloaded`, this.getPluginData(pluginName));
+      }
+
+      return true;
+   }
+
+   /**
+    * Clears all recorded invocation metrics.
+    */
+   resetMetrics()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      this._metrics.clear();
+   }
+
+   /**
+    * Removes a plugin by name after unloading it and clearing any event bindings automatically.
+    *
+    * If other loaded plugins declare this plugin as a dependency then removal is refused with a warning unless the
+    * `cascadeRemove` option is enabled in which case the dependent plugins are removed first.
+    *
+    * @param {string}   pluginName - The plugin name to remove.
+    *
+    * @returns {boolean} - Operation success.
+    */
+   remove(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      if (entry instanceof PluginEntry)
+      {
+         const dependents = s_GET_DEPENDENTS(pluginName, this._pluginMap);
+
+         if (dependents.length > 0)
+         {
+            if (!this._options.cascadeRemove)
+            {
+               // Please note that a plugin or other logger must be setup on the associated eventbus.
+               if (this._eventbus !== null && typeof this._eventbus !== 'undefined')
+               {
+                  this._eventbus.trigger('log:warn',
+                   `Plugin '${pluginName}' can not be removed as it is a dependency of: ${dependents.join(', ')}.`);
+               }
+
+               return false;
+            }
+
+            for (const dependent of dependents) { this.remove(dependent); }
+         }
+
+         // Invoke private module method which allows skipping optional error checking.
+         s_INVOKE_SYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, pluginName, this._pluginMap,
+          this._options, false);
+
+         // Automatically remove any potential reference to a stored event proxy instance.
+         try
+         {
+            entry.instance._eventbus = void 0;
+         }
+         catch (err) { /* nop */ }
+
+         if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
+
+         const pluginData = this.getPluginData(pluginName);
+
+         this._unwatchPlugin(pluginName);
+
+         this._pluginMap.delete(pluginName);
+         this._metrics.delete(pluginName);
+
+         // Invoke `typhonjs:plugin:manager:plugin:removed` allowing external code to react to plugin removed.
+         if (this._eventbus)
+         {
+            this._eventbus.trigger(`typhonjs:plugin:manager:plugin:removed`, pluginData);
+         }
+
+         return true;
+      }
+
+      return false;
+   }
+
+   /**
+    * Removes a plugin by name after unloading it and clearing any event bindings automatically.
+    *
+    * If other loaded plugins declare this plugin as a dependency then removal is refused with a warning unless the
+    * `cascadeRemove` option is enabled in which case the dependent plugins are removed first.
+    *
+    * @param {string}   pluginName - The plugin name to remove.
+    *
+    * @returns {Promise<boolean>} - Operation success.
+    */
+   async removeAsync(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      const entry = this._pluginMap.get(pluginName);
+
+      if (entry instanceof PluginEntry)
+      {
+         const dependents = s_GET_DEPENDENTS(pluginName, this._pluginMap);
+
+         if (dependents.length > 0)
+         {
+            if (!this._options.cascadeRemove)
+            {
+               // Please note that a plugin or other logger must be setup on the associated eventbus.
+               if (this._eventbus !== null && typeof this._eventbus !== 'undefined')
+               {
+                  this._eventbus.trigger('log:warn',
+                   `Plugin '${pluginName}' can not be removed as it is a dependency of: ${dependents.join(', ')}.`);
+               }
+
+               return false;
+            }
+
+            for (const dependent of dependents)
+            {
+               await this.removeAsync(dependent); // eslint-disable-line babel/no-await-in-loop
+            }
+         }
+
+         let timeoutError;
+
+         try
+         {
+            // Invoke private module method which allows skipping optional error checking.
+            await s_INVOKE_ASYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, pluginName, this._pluginMap,
+             this._options, false);
+         }
+         catch (err)
+         {
+            // A plugin that does not finish unloading in time is still removed before rejecting.
+            if (!(err instanceof PluginTimeoutError)) { throw err; }
+
+            timeoutError = err;
+         }
+
+         // Automatically remove any potential reference to a stored event proxy instance.
+         try
+         {
+            entry.instance._eventbus = void 0;
+         }
+         catch (err) { /* nop */ }
+
+         if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
+
+         const pluginData = this.getPluginData(pluginName);
+
+         this._unwatchPlugin(pluginName);
+
+         this._pluginMap.delete(pluginName);
+         this._metrics.delete(pluginName);
+
+         // Invoke `typhonjs:plugin:manager:plugin:removed` allowing external code to react to plugin removed.
+         if (this._eventbus)
+         {
+            await this._eventbus.triggerAsync(`typhonjs:plugin:manager:plugin:removed`, pluginData);
+         }
+
+         if (timeoutError) { throw timeoutError; }
+
+         return true;
+      }
+
+      return false;
+   }
+
+   /**
+    * Removes all plugins after unloading them and clearing any event bindings automatically. Plugins are removed in
+    * reverse dependency order such that dependent plugins are unloaded before their dependencies.
+    */
+   removeAll()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      for (const pluginName of s_GET_DEPENDENCY_ORDER(this._pluginMap).reverse())
+      {
+         this.remove(pluginName);
+      }
+
+      this._pluginMap.clear();
+   }
+
+   /**
+    * Removes all plugins after unloading them and clearing any event bindings automatically. Plugins are removed in
+    * reverse dependency order such that dependent plugins are unloaded before their dependencies.
+    *
+    * @returns {Promise.<*>}
+    */
+   async removeAllAsync()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      const values = [];
+
+      for (const pluginName of s_GET_DEPENDENCY_ORDER(this._pluginMap).reverse())
+      {
+         values.push(await this.removeAsync(pluginName)); // eslint-disable-line babel/no-await-in-loop
+      }
+
+      this._pluginMap.clear();
+
+      return values;
+   }
+
+   /**
+    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
+    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
+    *
+    * @param {string}   pluginName - The plugin name to remove.
+    *
+    * @returns {boolean} - Operation success.
+    * @private
+    */
+   _removeEventbus(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      return !this._options.noEventRemoval ? this.remove(pluginName) : false;
+   }
+
+   /**
+    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
+    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
+    *
+    * @param {string}   pluginName - The plugin name to remove.
+    *
+    * @returns {Promise<boolean>} - Operation success.
+    * @private
+    */
+   async _removeEventbusAsync(pluginName)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      return !this._options.noEventRemoval ? await this.removeAsync(pluginName) : Promise.resolve(false);
+   }
+
+   /**
+    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
+    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
+    *
+    * @private
+    */
+   _removeAllEventbus()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (!this._options.noEventRemoval) { this.removeAll(); }
+   }
+
+   /**
+    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
+    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
+    *
+    * @private
+    */
+   async _removeAllEventbusAsync()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (!this._options.noEventRemoval) { await this.removeAll(); }
+   }
+
+   /**
+    * Stops watching plugin files; equivalent to `setOptions({ watch: false })`.
+    */
+   unwatch()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      this.setOptions({ watch: false });
+   }
+
+   /**
+    * Closes any file watchers and cancels any pending reload for a plugin.
+    *
+    * @param {string}   pluginName - The plugin name to stop watching.
+    *
+    * @private
+    */
+   _unwatchPlugin(pluginName)
+   {
+      const watchData = this._watchers.get(pluginName);
+
+      if (typeof watchData === 'undefined') { return; }
+
+      clearTimeout(watchData.timeout);
+
+      for (const watcher of watchData.watchers) { watcher.close(); }
+
+      this._watchers.delete(pluginName);
+   }
+
+   /**
+    * Adds middleware that wraps each plugin method invocation made by all invoke methods. Middleware is invoked in the
+    * order added with a context containing `methodName`, `pluginName`, `args` (or `event` for the event dispatch
+    * methods), and `next`. Invoking `next()` continues to the next middleware and finally the plugin method returning
+    * its result; any `args` or `event` assigned to the context before invoking `next` is passed on. Middleware may
+    * return a result without invoking `next` to short-circuit the plugin method. Middleware is not invoked for the
+    * `onPluginLoad` and `onPluginUnload` lifecycle methods.
+    *
+    * @example
+    * pluginManager.use(({ methodName, pluginName, next }) =>
+    * {
+    *    const start = Date.now();
+    *    const result = next();
+    *    console.log(`${pluginName}.${methodName}: ${Date.now() - start}ms`);
+    *    return result;
+    * });
+    *
+    * @param {Function} middleware - A function receiving the invocation context.
+    *
+    * @returns {PluginManager}
+    */
+   use(middleware)
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      if (typeof middleware !== 'function') { throw new TypeError(`'middleware' is not a function.`); }
+
+      this._middleware.push(middleware);
+
+      return this;
+   }
+
+   /**
+    * Enables watch mode which is equivalent to `setOptions({ watch: true })`. Each `require-path` plugin file and any
+    * local child modules it requires along with each `import-path` plugin file is watched with `fs.watch`. When a
+    * file changes the plugin is reloaded with {@link PluginManager#reloadAsync} once no further changes occur within
+    * the `watchDebounce` option in milliseconds. `typhonjs:plugin:manager:plugin:reloaded` is triggered on the
+    * eventbus after each reload and any reload error is posted to `log:warn`. When a file watcher fails, for instance
+    * when an editor saves by replacing the file, the error is posted to `log:warn` and the plugin is reloaded watching
+    * its files again. File watchers do not keep the process running. Plugins added while watch mode is enabled are also
+    * watched. Call {@link PluginManager#unwatch} or {@link PluginManager#destroy} to close all file watchers.
+    */
+   watch()
+   {
+      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+
+      this.setOptions({ watch: true });
+   }
+
+   /**
+    * Watches the files of a `require-path` or `import-path` plugin replacing any existing file watchers for the plugin.
+    *
+    * @param {string}   pluginName - The plugin name to watch.
+    *
+    * @private
+    */
+   _watchPlugin(pluginName)
+   {
+      this._unwatchPlugin(pluginName);
+
+      const entry = this._pluginMap.get(pluginName);
+
+      if (!(entry instanceof PluginEntry)) { return; }
+
+      const { target, type } = entry.data.plugin;
+
+      if (type !== 'require-path' && type !== 'import-path') { return; }
+
+      const filename = require.resolve(path.resolve(target));
+
+      const watchData = { watchers: [], timeout: void 0 };
+
+      const warn = (message, err) =>
+      {
+         // Please note that a plugin or other logger must be setup on the associated eventbus.
+         if (this._eventbus !== null && typeof this._eventbus !== 'undefined')
+         {
+            this._eventbus.trigger('log:warn', message, err);
+         }
+      };
+
+      const onChange = () =>
+      {
+         clearTimeout(watchData.timeout);
+
+         watchData.timeout = setTimeout(() =>
+         {
+            this.reloadAsync(pluginName).catch((err) =>
+             warn(`Plugin '${pluginName}' failed to reload: ${err.message}`, err));
+         }, this._options.watchDebounce);
+      };
+
+      // Editors saving atomically delete or rename the watched file which closes the watcher with an error. Close all
+      // watchers of the plugin and reload it which watches the current plugin files again.
+      const onError = (err) =>
+      {
+         warn(`Plugin '${pluginName}' file watcher failed: ${err.message}`, err);
+
+         for (const watcher of watchData.watchers) { watcher.close(); }
+
+         watchData.watchers = [];
+
+         onChange();
+      };
+
+      const files = type === 'require-path' ? s_GET_LOCAL_MODULE_FILES(filename) : [filename];
+
+      for (const file of files)
+      {
+         watchData.watchers.push(fs.watch(file, { persistent: false }, onChange).on('error', onError));
+      }
+
+      this._watchers.set(pluginName, watchData);
+   }
+}
+
+/**
+ * Creates the state shared by each plugin invocation of a single dispatch.
+ *
+ * @param {object}   options - Resolved dispatch options.
+ *
+ * @param {object}   [params] - Optional parameters.
+ *
+ * @param {boolean}  [params.async=false] - If true the dispatch is asynchronous and `asyncTimeout` and
+ *                                          `concurrency` apply.
+ *
+ * @param {boolean}  [params.event=false] - If true plugins are invoked with a PluginEvent.
+ *
+ * @param {boolean}  [params.lifecycle=false] - If true the dispatch is an internal lifecycle invocation that always
+ *                                              throws plugin errors and bypasses any middleware and invoke hooks.
+ *
+ * @param {*}        [params.extraEventData] - Optional extra data attached to invoke hook events.
+ *
+ * @param {Map<string, PluginEntry>} [params.pluginMap] - The plugins receiving invoke hooks.
+ *
+ * @param {boolean}  [params.skipInvalid=false] - If true a synchronous `null` or `undefined` plugin result deferred
+ *                                                by asynchronous invoke hooks resolves to a skip marker.
+ *
+ * @returns {object} Dispatch state.
+ * @ignore
+ */
+const s_CREATE_DISPATCH = (options, { async = false, event = false, lifecycle = false, extraEventData = void 0,
+ pluginMap = void 0, skipInvalid = false } = {}) =>
+{
+   return {
+      async,
+      errorPolicy: lifecycle ? 'throw' : options.errorPolicy,
+      errors: new Map(),
+      event,
+      extraEventData,
+      hooks: !lifecycle && options.invokeHooks === true && pluginMap instanceof Map,
+      limit: !lifecycle && async && options.concurrency > 0 ? s_CREATE_LIMITER(options.concurrency, options.signal) :
+       void 0,
+      middleware: !lifecycle && Array.isArray(options.middleware) ? options.middleware : [],
+      metrics: !lifecycle && options.metrics === true && options.metricsData instanceof Map ? options.metricsData :
+       void 0,
+      pluginMap,
+      skipInvalid,
+      timeout: async ? options.asyncTimeout : 0
+   };
+};
+
+/**
+ * Dispatches an invoke hook (`onBeforeInvoke` or `onAfterInvoke`) to all enabled plugins implementing it with the
+ * given data passed through on the PluginEvent. Hooks are dispatched without optional error checking and any error
+ * thrown by a hook is raised to `s_INVOKE_METHOD` which handles it by the error policy for the target plugin.
+ *
+ * @param {string}   hookName - The hook method name.
+ *
+ * @param {object}   data - Hook data passed through on the PluginEvent.
+ *
+ * @param {object}   dispatch - The dispatch state created by `s_CREATE_DISPATCH`.
+ *
+ * @param {boolean}  [async=false] - If true the hook is awaited upon.
+ *
+ * @returns {PluginEvent|Promise<PluginEvent>}
+ * @ignore
+ */
+const s_INVOKE_HOOK = (hookName, data, dispatch, async = false) =>
+{
+   const { extraEventData, pluginMap } = dispatch;
+
+   if (async)
+   {
+      return s_INVOKE_ASYNC_EVENTS(hookName, {}, data, extraEventData, pluginMap.keys(), pluginMap,
+       { asyncTimeout: dispatch.timeout }, false);
+   }
+
+   return s_INVOKE_SYNC_EVENTS(hookName, {}, data, extraEventData, pluginMap.keys(), pluginMap, {}, false);
+};
+
+/**
+ * Handles an error thrown by a plugin during dispatch. `typhonjs:plugin:manager:invoke:error` is triggered on the
+ * eventbus then depending on the error policy the error is collected, posted to `log:warn`, or thrown.
+ *
+ * @param {Error}                error - The plugin error.
+ *
+ * @param {PluginEntry}          entry - The plugin entry that raised the error.
+ *
+ * @param {string}               methodName - The invoked method name.
+ *
+ * @param {object}               dispatch - The dispatch state holding the error policy and collected errors.
+ *
+ * @ignore
+ */
+const s_HANDLE_INVOKE_ERROR = (error, entry, methodName, dispatch) =>
+{
+   const eventbus = entry.eventProxy;
+
+   if (eventbus instanceof EventProxy)
+   {
+      eventbus.trigger('typhonjs:plugin:manager:invoke:error', { pluginName: entry.name, methodName, error });
+   }
+
+   switch (dispatch.errorPolicy)
+   {
+      case 'collect':
+         dispatch.errors.set(entry.name, error);
+         break;
+
+      case 'log':
+         if (eventbus instanceof EventProxy)
+         {
+            eventbus.trigger('log:warn', `Plugin '${entry.name}' failed to invoke '${methodName}': ${error.message}`,
+             error);
+         }
+         break;
+
+      default:
+         throw error;
+   }
+};
+
+/**
+ * Invokes a method of a plugin instance through any middleware. Any error thrown by the plugin or middleware, or for
+ * asynchronous dispatch any Promise rejected, is handled by the error policy; when the error is not thrown the
+ * invocation result is `undefined`. During synchronous dispatch a returned Promise is passed through untouched. During
+ * asynchronous dispatch a returned Promise that does not settle within any dispatch timeout is rejected with a
+ * `PluginTimeoutError`.
+ *
+ * When invoke hooks are enabled `onBeforeInvoke` is dispatched before and `onAfterInvoke` after the plugin method.
+ * During asynchronous dispatch both hooks are awaited upon. Errors raised by hooks are handled by the error policy
+ * for the target plugin and the plugin method is not invoked when `onBeforeInvoke` fails.
+ *
+ * @param {PluginEntry}          entry - The plugin entry to invoke.
+ *
+ * @param {string}               methodName - The method name to invoke.
+ *
+ * @param {*|Array<*>}           args - Arguments or a PluginEvent. An array will be spread as multiple arguments.
+ *
+ * @param {object}               dispatch - The dispatch state created by `s_CREATE_DISPATCH`.
+ *
+ * @returns {*} The invocation result.
+ * @ignore
+ */
+const s_INVOKE_METHOD = (entry, methodName, args, dispatch) =>
+{
+   if (!dispatch.hooks) { return s_INVOKE_TARGET(entry, methodName, args, dispatch, void 0); }
+
+   // Data passed to any `onBeforeInvoke` / `onAfterInvoke` hooks.
+   const hookData = { methodName, targetPlugin: entry.name, [dispatch.event ? 'event' : 'args']: args };
+
+   // Asynchronous dispatch awaits `onBeforeInvoke` before invoking the plugin.
+   if (dispatch.async)
+   {
+      return s_INVOKE_HOOK('onBeforeInvoke', hookData, dispatch, true).then(
+       () => s_INVOKE_TARGET(entry, methodName, args, dispatch, hookData), (error) =>
+      {
+         s_HANDLE_INVOKE_ERROR(error, entry, methodName, dispatch);
+
+         return void 0;
+      });
+   }
+
+   try
+   {
+      s_INVOKE_HOOK('onBeforeInvoke', hookData, dispatch);
+   }
+   catch (error)
+   {
+      s_HANDLE_INVOKE_ERROR(error, entry, methodName, dispatch);
+
+      return void 0;
+   }
+
+   return s_INVOKE_TARGET(entry, methodName, args, dispatch, hookData);
+};
+
+/**
+ * Invokes a method of a plugin instance after any `onBeforeInvoke` hook has completed recording metrics and
+ * dispatching any `onAfterInvoke` hook; please see `s_INVOKE_METHOD`.
+ *
+ * @param {PluginEntry}          entry - The plugin entry to invoke.
+ *
+ * @param {string}               methodName - The method name to invoke.
+ *
+ * @param {*|Array<*>}           args - Arguments or a PluginEvent. An array will be spread as multiple arguments.
+ *
+ * @param {object}               dispatch - The dispatch state created by `s_CREATE_DISPATCH`.
+ *
+ * @param {object}               [hookData] - Data passed to `onAfterInvoke` when invoke hooks are enabled.
+ *
+ * @returns {*} The invocation result.
+ * @ignore
+ */
+const s_INVOKE_TARGET = (entry, methodName, args, dispatch, hookData = void 0) =>
+{
+   let result;
+
+   const start = dispatch.metrics ? s_NOW() : 0;
+
+   try
+   {
+      result = dispatch.middleware.length > 0 ? s_INVOKE_MIDDLEWARE(entry, methodName, args, dispatch) :
+       s_APPLY_METHOD(entry, methodName, args);
+   }
+   catch (error)
+   {
+      // Asynchronous dispatch with invoke hooks handles the error after awaiting `onAfterInvoke` below.
+      if (dispatch.async && dispatch.hooks)
+      {
+         result = Promise.reject(error);
+      }
+      else
+      {
+         if (dispatch.metrics) { s_RECORD_METRICS(dispatch.metrics, entry.name, methodName, start, true); }
+
+         if (dispatch.hooks) { s_INVOKE_AFTER_HOOK(Object.assign({ error }, hookData), entry, methodName, dispatch); }
+
+         s_HANDLE_INVOKE_ERROR(error, entry, methodName, dispatch);
+
+         return void 0;
+      }
+   }
+
+   // Synchronous dispatch passes any returned Promise through untouched to the caller. Asynchronous dispatch with
+   // invoke hooks always awaits `onAfterInvoke`.
+   if (!dispatch.async || (!s_IS_THENABLE(result) && !dispatch.hooks))
+   {
+      if (dispatch.metrics) { s_RECORD_METRICS(dispatch.metrics, entry.name, methodName, start, false); }
+
+      if (dispatch.hooks) { s_INVOKE_AFTER_HOOK(Object.assign({ result }, hookData), entry, methodName, dispatch); }
+
+      return result;
+   }
+
+   // A synchronous invalid result deferred by invoke hooks is marked so that it is filtered like any other.
+   const skip = dispatch.skipInvalid && !s_IS_THENABLE(result) && (result === null || typeof result === 'undefined');
+
+   let pending = dispatch.timeout > 0 ? s_TIMEOUT(result, dispatch.timeout, entry.name, methodName) :
+    Promise.resolve(result);
+
+   if (dispatch.metrics)
+   {
+      pending = pending.then((value) =>
+      {
+         s_RECORD_METRICS(dispatch.metrics, entry.name, methodName, start, false);
+
+         return value;
+      }, (error) =>
+      {
+         s_RECORD_METRICS(dispatch.metrics, entry.name, methodName, start, true);
+
+         throw error;
+      });
+   }
+
+   return pending.then(async (value) =>
+   {
+      if (dispatch.hooks)
+      {
+         await s_INVOKE_AFTER_HOOK(Object.assign({ result: value }, hookData), entry, methodName, dispatch);
+      }
+
+      return skip ? s_SKIP_RESULT : value;
+   }, async (error) =>
+   {
+      if (dispatch.hooks)
+      {
+         await s_INVOKE_AFTER_HOOK(Object.assign({ error }, hookData), entry, methodName, dispatch);
+      }
+
+      s_HANDLE_INVOKE_ERROR(error, entry, methodName, dispatch);
+
+      return void 0;
+   });
+};
+
+/**
+ * Dispatches `onAfterInvoke` for a plugin invocation handling any hook error by the error policy for the target
+ * plugin. During asynchronous dispatch the returned Promise settles after the hook completes.
+ *
+ * @param {object}               hookData - Hook data passed through on the PluginEvent.
+ *
+ * @param {PluginEntry}          entry - The target plugin entry.
+ *
+ * @param {string}               methodName - The invoked method name.
+ *
+ * @param {object}               dispatch - The dispatch state created by `s_CREATE_DISPATCH`.
+ *
+ * @returns {void|Promise<void>}
+ * @ignore
+ */
+const s_INVOKE_AFTER_HOOK = (hookData, entry, methodName, dispatch) =>
+{
+   if (dispatch.async)
+   {
+      return s_INVOKE_HOOK('onAfterInvoke', hookData, dispatch, true).then(() => void 0,
+       (error) => s_HANDLE_INVOKE_ERROR(error, entry, methodName, dispatch));
+   }
+
+   try
+   {
+      s_INVOKE_HOOK('onAfterInvoke', hookData, dispatch);
+   }
+   catch (error)
+   {
+      s_HANDLE_INVOKE_ERROR(error, entry, methodName, dispatch);
+   }
+
+   return void 0;
+};
+
+/**
+ * Invokes a method of a plugin instance spreading any array of arguments.
+ *
+ * @param {PluginEntry}          entry - The plugin entry to invoke.
+ *
+ * @param {string}               methodName - The method name to invoke.
+ *
+ * @param {*|Array<*>}           args - Arguments. An array will be spread as multiple arguments.
+ *
+ * @returns {*} The invocation result.
+ * @ignore
+ */
+const s_APPLY_METHOD = (entry, methodName, args) =>
+{
+   return Array.isArray(args) ? entry.instance[methodName](...args) : entry.instance[methodName](args);
+};
+
+/**
+ * Invokes a method of a plugin instance through the middleware chain. Each middleware receives a context with
+ * `methodName`, `pluginName`, `args` or `event`, and `next`. Invoking `next` continues the chain with any `args` or
+ * `event` assigned to the context and returns the result of the remaining chain.
+ *
+ * @param {PluginEntry}          entry - The plugin entry to invoke.
+ *
+ * @param {string}               methodName - The method name to invoke.
+ *
+ * @param {*|Array<*>}           args - Arguments or a PluginEvent.
+ *
+ * @param {object}               dispatch - The dispatch state created by `s_CREATE_DISPATCH`.
+ *
+ * @returns {*} The result of the middleware chain.
+ * @ignore
+ */
+const s_INVOKE_MIDDLEWARE = (entry, methodName, args, dispatch) =>
+{
+   const key = dispatch.event ? 'event' : 'args';
+
+   const run = (index, context) =>
+   {
+      if (index >= dispatch.middleware.length) { return s_APPLY_METHOD(entry, methodName, context[key]); }
+
+      const layer = Object.assign({}, context);
+
+      layer.next = () => run(index + 1, layer);
+
+      return dispatch.middleware[index](layer);
+   };
+
+   return run(0, { methodName, pluginName: entry.name, [key]: args });
+};
+
+/**
+ * Private implementation to invoke asynchronous events. This allows internal calls in PluginManager for
+ * `onPluginLoad` and `onPluginUnload` callbacks to bypass optional error checking.
+ *
+ * This dispatch method asynchronously passes to and returns from any invoked targets a PluginEvent. Any invoked plugin
+ * may return a Promise which is awaited upon by `Promise.all` before returning the PluginEvent data via a Promise.
+ *
+ * @param {string}                     methodName - Method name to invoke.
+ *
+ * @param {object}                     copyProps - plugin event object.
+ *
+ * @param {object}                     passthruProps - if true, event has plugin option.
+ *
+ * @param {*}                          extraEventData - Optional extra data attached to all plugin events.
+ *
+ * @param {string|Array<string>}       nameOrList - An optional plugin name or array / iterable of plugin names to
+ *                                                  invoke.
+ *
+ * @param {Map<string, PluginEvent>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ *
+ * @param {object}                     options - Defines options for throwing exceptions and the error policy.
+ *
+ * @param {boolean}                    [performErrorCheck=true] - If false optional error checking is disabled.
+ *
+ * @param {boolean}                    [series=false] - If true each invoked target is awaited upon before the next
+ *                                                      target is invoked.
+ *
+ * @returns {Promise<PluginEvent>}
+ */
+const s_INVOKE_ASYNC_EVENTS = async (methodName, copyProps = {}, passthruProps = {}, extraEventData, nameOrList,
+ pluginMap, options, performErrorCheck = true, series = false) =>
+{
+   if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
+   if (typeof passthruProps !== 'object') { throw new TypeError(`'passthruProps' is not an object.`); }
+   if (typeof copyProps !== 'object') { throw new TypeError(`'copyProps' is not an object.`); }
+
+   nameOrList = s_RESOLVE_SELECTOR(nameOrList, pluginMap);
+
+   // Track how many plugins were invoked.
+   let pluginInvokeCount = 0;
+   const pluginInvokeNames = [];
+
+   // Track if a plugin method is invoked
+   const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, pluginMap);
+   const hasMethod = entries.length > 0;
+
+   // Internal lifecycle invocations always throw plugin errors and bypass any middleware and invoke hooks.
+   const dispatch = s_CREATE_DISPATCH(options, { async: true, event: true, extraEventData,
+    lifecycle: !performErrorCheck, pluginMap });
+
+   // Create plugin event.
+   const ev = new PluginEvent(copyProps, passthruProps, extraEventData, options.cloneStrategy);
+
+   ev.signal = options.signal;
+
+   // Lifecycle invocations always allow plugins to write event data.
+   const readOnly = performErrorCheck && options.readOnlyEvents === true;
+
+   const results = [];
+
+   try
+   {
+      for (const entry of entries)
+      {
+         if (!s_IS_ACTIVE(entry, pluginMap)) { continue; }
+
+         s_THROW_IF_ABORTED(options.signal);
+
+         // Defer invocation when concurrency is limited.
+         if (!series && dispatch.limit)
+         {
+            results.push(dispatch.limit(() =>
+            {
+               if (!s_IS_ACTIVE(entry, pluginMap)) { return void 0; }
+
+               pluginInvokeCount++;
+               pluginInvokeNames.push(entry.name);
+
+               return s_INVOKE_METHOD(entry, methodName, ev.createView(entry.name, entry.eventProxy,
+                entry.data.plugin.options, readOnly), dispatch);
+            }));
+
+            continue;
+         }
+
+         const view = ev.createView(entry.name, entry.eventProxy, entry.data.plugin.options, readOnly);
+
+         const result = s_INVOKE_METHOD(entry, methodName, view, dispatch);
+
+         if (series)
+         {
+            await s_RACE_ABORT(result, options.signal); // eslint-disable-line babel/no-await-in-loop
+         }
+         else if (typeof result !== 'undefined' && result !== null)
+         {
+            results.push(result);
+         }
+
+         pluginInvokeCount++;
+         pluginInvokeNames.push(entry.name);
+
+         if (series && ev.propagationStopped) { break; }
+      }
+
+      if (performErrorCheck && options.throwNoPlugin && !hasPlugin)
+      {
+         throw new Error(`PluginManager failed to find any target plugins.`);
+      }
+
+      if (performErrorCheck && options.throwNoMethod && !hasMethod)
+      {
+         throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      }
+   }
+   catch (error)
+   {
+      // Plugin methods already invoked are no longer awaited.
+      s_IGNORE_REJECTIONS(results);
+
+      throw error;
+   }
+
+   await s_RACE_ABORT(Promise.all(results), options.signal);
+
+   // Add meta data for plugin invoke count and propagation state.
+   ev.data.$$plugin_invoke_count = pluginInvokeCount;
+   ev.data.$$plugin_invoke_names = pluginInvokeNames;
+   ev.data.$$plugin_propagation_stopped = ev.propagationStopped;
+   ev.data.$$plugin_default_prevented = ev.defaultPrevented;
+
+   if (readOnly) { ev.data.$$plugin_writes = ev.writes; }
+
+   return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, ev.data);
+};
+
+/**
+ * Private implementation to invoke synchronous events. This allows internal calls in PluginManager for
+ * `onPluginLoad` and `onPluginUnload` callbacks to bypass optional error checking.
+ *
+ * This dispatch method synchronously passes to and returns from any invoked targets a PluginEvent.
+ *
+ * @param {string}                     methodName - Method name to invoke.
+ *
+ * @param {object}                     copyProps - plugin event object.
+ *
+ * @param {object}                     passthruProps - if true, event has plugin option.
+ *
+ * @param {*}                          extraEventData - Optional extra data attached to all plugin events.
+ *
+ * @param {string|Array<string>}       nameOrList - An optional plugin name or array / iterable of plugin names to
+ *                                                  invoke.
+ *
+ * @param {Map<string, PluginEvent>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ *
+ * @param {object}                     options - Defines options for throwing exceptions and the error policy.
+ *
+ * @param {boolean}                    [performErrorCheck=true] - If false optional error checking is disabled.
+ *
+ * @returns {PluginEvent}
+ */
+const s_INVOKE_SYNC_EVENTS = (methodName, copyProps = {}, passthruProps = {}, extraEventData, nameOrList, pluginMap,
+ options, performErrorCheck = true) =>
+{
+   if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
+   if (typeof passthruProps !== 'object') { throw new TypeError(`'passthruProps' is not an object.`); }
+   if (typeof copyProps !== 'object') { throw new TypeError(`'copyProps' is not an object.`); }
+
+   nameOrList = s_RESOLVE_SELECTOR(nameOrList, pluginMap);
+
+   // Track how many plugins were invoked.
+   let pluginInvokeCount = 0;
+   const pluginInvokeNames = [];
+
+   // Track if a plugin method is invoked
+   const { entries, hasPlugin } = s_GET_TARGET_ENTRIES(methodName, nameOrList, pluginMap);
+   const hasMethod = entries.length > 0;
+
+   // Internal lifecycle invocations always throw plugin errors and bypass any middleware and invoke hooks.
+   const dispatch = s_CREATE_DISPATCH(options, { async: false, event: true, extraEventData,
+    lifecycle: !performErrorCheck, pluginMap });
+
+   // Create plugin event.
+   const ev = new PluginEvent(copyProps, passthruProps, extraEventData, options.cloneStrategy);
+
+   // Lifecycle invocations always allow plugins to write event data.
+   const readOnly = performErrorCheck && options.readOnlyEvents === true;
+
+   for (const entry of entries)
+   {
+      if (!s_IS_ACTIVE(entry, pluginMap)) { continue; }
+
+      s_INVOKE_METHOD(entry, methodName, ev.createView(entry.name, entry.eventProxy, entry.data.plugin.options,
+       readOnly), dispatch);
+
+      pluginInvokeCount++;
+      pluginInvokeNames.push(entry.name);
+
+      if (ev.propagationStopped) { break; }
+   }
+
+   if (performErrorCheck && options.throwNoPlugin && !hasPlugin)
+   {
+      throw new Error(`PluginManager failed to find any target plugins.`);
+   }
+
+   if (performErrorCheck && options.throwNoMethod && !hasMethod)
+   {
+      throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+   }
+
+   // Add meta data for plugin invoke count and propagation state.
+   ev.data.$$plugin_invoke_count = pluginInvokeCount;
+   ev.data.$$plugin_invoke_names = pluginInvokeNames;
+   ev.data.$$plugin_propagation_stopped = ev.propagationStopped;
+   ev.data.$$plugin_default_prevented = ev.defaultPrevented;
+
+   if (readOnly) { ev.data.$$plugin_writes = ev.writes; }
+
+   return s_CHECK_INVOKE_ERRORS(methodName, dispatch.errors, ev.data);
+};
+
+/**
+ * Walks an objects inheritance tree collecting property names stopping before `Object` is reached.
+ *
+ * @param {object}   obj - object to walks.
+ *
+ * @returns {Array}
+ * @ignore
+ */
+const s_GET_ALL_PROPERTY_NAMES = (obj) =>
+{
+   const props = [];
+
+   do
+   {
+      Object.getOwnPropertyNames(obj).forEach((prop) => { if (props.indexOf(prop) === -1) { props.push(prop); } });
+      obj = Object.getPrototypeOf(obj);
+   } while (typeof obj !== 'undefined' && obj !== null && !(obj === Object.prototype));
+
+   return props;
+};
+
+/**
+ * Returns the plugin export of a loaded module; the `default` export when `defaultExport` is true otherwise the module
+ * itself.
+ *
+ * @param {*}        module - A loaded module.
+ *
+ * @param {boolean}  defaultExport - The `defaultExport` plugin data of the plugin.
+ *
+ * @returns {*}
+ * @ignore
+ */
+const s_GET_MODULE_EXPORT = (module, defaultExport) => defaultExport ? module.default : module;
+
+/**
+ * Returns whether the `default` export of a loaded module is the plugin export. A module namespace, whether from
+ * `import()` or from `require` of an ES module on newer Node versions, or a CommonJS module transpiled from an ES
+ * module marked by `__esModule` with a `default` export is unwrapped. The result is stored as the `defaultExport`
+ * plugin data such that reloading applies the same export regardless of how the plugin is reloaded.
+ *
+ * @param {*}  module - A loaded module.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_DEFAULT_EXPORT = (module) => typeof module === 'object' && module !== null &&
+ (module.__esModule === true || module[Symbol.toStringTag] === 'Module') && typeof module.default !== 'undefined';
+
+/**
+ * Loads a plugin target asynchronously. Targets ending in `.mjs` or that `require` rejects as an ES module are loaded
+ * with dynamic `import()`. For both `require` and `import()` any `default` export of an ES module is unwrapped.
+ *
+ * @param {string}   target - The NPM module or local file path to load.
+ *
+ * @param {string}   [cwd] - The directory an NPM module target is resolved from.
+ *
+ * @returns {Promise<{defaultExport: boolean, instance: *, type: string}>}
+ * @ignore
+ */
+const s_LOAD_TARGET_ASYNC = async (target, cwd) =>
+{
+   const isPath = target.match(/^[.\/\\]/) !== null;
+   const resolved = isPath ? path.resolve(target) : s_RESOLVE_MODULE(target, cwd);
+
+   if (!resolved.endsWith('.mjs'))
+   {
+      try
+      {
+         const module = require(resolved); // eslint-disable-line global-require
+         const defaultExport = s_IS_DEFAULT_EXPORT(module);
+
+         return { defaultExport, instance: s_GET_MODULE_EXPORT(module, defaultExport),
+          type: isPath ? 'require-path' : 'require-module' };
+      }
+      catch (err)
+      {
+         // Only fall back to `import()` when the target is an ES module.
+         if (err.code !== 'ERR_REQUIRE_ESM' && err.code !== 'ERR_REQUIRE_ASYNC_MODULE') { throw err; }
+      }
+   }
+
+   // Local directories are resolved to their package entry file as `import()` does not load directories.
+   const namespace = await import(path.isAbsolute(resolved) ? url.pathToFileURL(require.resolve(resolved)).href :
+    resolved);
+   const defaultExport = s_IS_DEFAULT_EXPORT(namespace);
+
+   return { defaultExport, instance: s_GET_MODULE_EXPORT(namespace, defaultExport),
+    type: isPath ? 'import-path' : 'import-module' };
+};
+
+/**
+ * Returns the names of all loaded plugins ordered such that any dependencies precede the plugins that depend on them.
+ * Otherwise the insertion order of the plugin map is preserved.
+ *
+ * @param {Map<string, PluginEntry>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ *
+ * @returns {Array<string>}
+ * @ignore
+ */
+const s_GET_DEPENDENCY_ORDER = (pluginMap) =>
+{
+   const order = [];
+   const visited = new Set();
+
+   const visit = (pluginName) =>
+   {
+      if (visited.has(pluginName)) { return; }
+
+      visited.add(pluginName);
+
+      for (const dependency of pluginMap.get(pluginName).data.plugin.dependencies)
+      {
+         if (pluginMap.has(dependency)) { visit(dependency); }
+      }
+
+      order.push(pluginName);
+   };
+
+   for (const pluginName of pluginMap.keys()) { visit(pluginName); }
+
+   return order;
+};
+
+/**
+ * Returns the names of all loaded plugins that directly depend on the given plugin.
+ *
+ * @param {string}                     pluginName - The plugin name.
+ *
+ * @param {Map<string, PluginEntry>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ *
+ * @returns {Array<string>}
+ * @ignore
+ */
+const s_GET_DEPENDENTS = (pluginName, pluginMap) =>
+{
+   const dependents = [];
+
+   for (const entry of pluginMap.values())
+   {
+      if (entry.data.plugin.dependencies.indexOf(pluginName) >= 0) { dependents.push(entry.name); }
+   }
+
+   return dependents;
+};
+
+/**
+ * Returns the name of a plugin config or undefined if the config is not an object.
+ *
+ * @param {PluginConfig}   pluginConfig - A plugin config.
+ *
+ * @returns {string|undefined}
+ * @ignore
+ */
+const s_GET_CONFIG_NAME = (pluginConfig) =>
+ typeof pluginConfig === 'object' && pluginConfig !== null ? pluginConfig.name : void 0;
+
+/**
+ * Marks a deferred plugin invocation that is skipped; either a synchronous `null` or `undefined` result or a plugin
+ * disabled or removed before a concurrency limited invocation starts.
+ * @type {object}
+ * @ignore
+ */
+const s_SKIP_RESULT = {};
+
+/**
+ * Defines the valid error policies for plugin errors raised during dispatch.
+ * @type {string[]}
+ * @ignore
+ */
+const s_ERROR_POLICIES = ['collect', 'log', 'throw'];
+
+/**
+ * Throws an error reporting all errors collected by the `collect` error policy during a dispatch otherwise returns the
+ * given result.
+ *
+ * @param {string}               methodName - The invoked method name.
+ *
+ * @param {Map<string, Error>}   errors - Collected errors by plugin name.
+ *
+ * @param {*}                    [result] - The dispatch result.
+ *
+ * @returns {*} The dispatch result.
+ * @ignore
+ */
+const s_CHECK_INVOKE_ERRORS = (methodName, errors, result = void 0) =>
+{
+   if (errors.size === 0) { return result; }
+
+   throw new PluginInvokeError(methodName, errors, result);
+};
+
+/**
+ * Resolves the options for a single dispatch assigning any invoke options over the plugin manager options.
+ *
+ * @param {PluginManagerOptions} managerOptions - The plugin manager options.
+ *
+ * @param {InvokeOptions}        [invokeOptions] - Optional invoke options.
+ *
+ * @param {Function[]}           [middleware] - Any middleware registered by {@link PluginManager#use}.
+ *
+ * @param {Map<string, Map<string, object>>} [metricsData] - Stores invocation metrics by plugin and method name.
+ *
+ * @returns {object} Resolved dispatch options.
+ * @ignore
+ */
+const s_GET_INVOKE_OPTIONS = (managerOptions, invokeOptions, middleware = [], metricsData = void 0) =>
+{
+   if (typeof invokeOptions === 'undefined') { return Object.assign({}, managerOptions, { middleware, metricsData }); }
+
+   if (typeof invokeOptions !== 'object' || invokeOptions === null)
+   {
+      throw new TypeError(`'invokeOptions' is not an object.`);
+   }
+
+   if (typeof invokeOptions.errorPolicy !== 'undefined' && !s_ERROR_POLICIES.includes(invokeOptions.errorPolicy))
+   {
+      throw new TypeError(`'invokeOptions.errorPolicy' is not 'collect', 'log', or 'throw'.`);
+   }
+
+   if (typeof invokeOptions.signal !== 'undefined' && !s_IS_ABORT_SIGNAL(invokeOptions.signal))
+   {
+      throw new TypeError(`'invokeOptions.signal' is not an AbortSignal.`);
+   }
+
+   if (typeof invokeOptions.asyncTimeout !== 'undefined' && !s_IS_TIMEOUT(invokeOptions.asyncTimeout))
+   {
+      throw new TypeError(`'invokeOptions.asyncTimeout' is not a non-negative number.`);
+   }
+
+   if (typeof invokeOptions.concurrency !== 'undefined' && !s_IS_CONCURRENCY(invokeOptions.concurrency))
+   {
+      throw new TypeError(`'invokeOptions.concurrency' is not a non-negative integer.`);
+   }
+
+   if (typeof invokeOptions.readOnlyEvents !== 'undefined' && typeof invokeOptions.readOnlyEvents !== 'boolean')
+   {
+      throw new TypeError(`'invokeOptions.readOnlyEvents' is not a boolean.`);
+   }
+
+   if (typeof invokeOptions.order !== 'undefined' && invokeOptions.order !== 'dispatch' &&
+    invokeOptions.order !== 'settle')
+   {
+      throw new TypeError(`'invokeOptions.order' is not 'dispatch' or 'settle'.`);
+   }
+
+   return Object.assign({}, managerOptions, invokeOptions, { middleware, metricsData });
+};
+
+/**
+ * Resolves a plugin selector to a plugin name or an array / iterable of plugin names. A string containing `*` or `?`
+ * is matched as a glob against all plugin names, a function is invoked as a predicate with a copy of each plugin's
+ * data, and an object with a `tags` string or array selects plugins defining all given tags. Any other string, array,
+ * or iterable is returned as is.
+ *
+ * @param {PluginSelector}          selector - The plugin selector to resolve.
+ *
+ * @param {Map<string, PluginEntry>} pluginMap - The plugin map.
+ *
+ * @returns {string|Iterable<string>} A plugin name or array / iterable of plugin names.
+ * @ignore
+ */
+const s_RESOLVE_SELECTOR = (selector, pluginMap) =>
+{
+   if (typeof selector === 'string')
+   {
+      if (!(/[*?]/).test(selector)) { return selector; }
+
+      // Escape RegExp characters then convert glob wildcards.
+      const pattern = selector.replace(/[.+^$|{}()[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+
+      const regex = new RegExp(`^${pattern}$`);
+
+      return Array.from(pluginMap.keys()).filter((name) => regex.test(name));
+   }
+
+   if (typeof selector === 'function')
+   {
+      const results = [];
+
+      for (const entry of pluginMap.values())
+      {
+         if (selector(JSON.parse(JSON.stringify(entry.data)))) { results.push(entry.name); }
+      }
+
+      return results;
+   }
+
+   if (typeof selector === 'object' && selector !== null)
+   {
+      if (Array.isArray(selector) || typeof selector[Symbol.iterator] === 'function') { return selector; }
+
+      if (typeof selector.tags === 'string' || s_IS_STRING_ARRAY(selector.tags))
+      {
+         const tags = typeof selector.tags === 'string' ? [selector.tags] : selector.tags;
+
+         const results = [];
+
+         for (const entry of pluginMap.values())
+         {
+            const pluginTags = entry.data.plugin.tags || [];
+
+            if (tags.every((tag) => pluginTags.includes(tag))) { results.push(entry.name); }
+         }
+
+         return results;
+      }
+   }
+
+   throw new TypeError(`'nameOrList' is not a string, array, iterator, or plugin selector.`);
+};
+
+/**
+ * Resolves the enabled plugin entries defining a method by plugin name or list of plugin names in dispatch order.
+ * Entries are sorted by descending priority where a numeric value for the method name in a plugin instance
+ * `methodPriorities` object overrides the plugin priority. Entries with equal priority retain their given order.
+ *
+ * @param {string}            methodName - The method name to resolve.
+ *
+ * @param {string|Iterable<string>}  nameOrList - A plugin name or iterable list of plugin names.
+ *
+ * @param {Map<string, PluginEntry>} pluginMap - Stores the plugins by name with an associated PluginEntry.
+ *
+ * @returns {{entries: PluginEntry[], hasPlugin: boolean}} The sorted entries and whether any enabled plugin was found.
+ * @ignore
+ */
+const s_GET_TARGET_ENTRIES = (methodName, nameOrList, pluginMap) =>
+{
+   const targets = [];
+   let hasPlugin = false;
+
+   for (const name of typeof nameOrList === 'string' ? [nameOrList] : nameOrList)
+   {
+      const entry = pluginMap.get(name);
+
+      if (entry instanceof PluginEntry && entry.enabled && entry.instance)
+      {
+         hasPlugin = true;
+
+         if (typeof entry.instance[methodName] === 'function')
+         {
+            const methodPriorities = entry.instance.methodPriorities;
+
+            const priority = typeof methodPriorities === 'object' && methodPriorities !== null &&
+             Number.isFinite(methodPriorities[methodName]) ? methodPriorities[methodName] : entry.priority;
+
+            targets.push({ entry, priority, index: targets.length });
+         }
+      }
+   }
+
+   targets.sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+   return { entries: targets.map((target) => target.entry), hasPlugin };
+};
+
+/**
+ * Returns whether a plugin entry resolved at the start of a dispatch is still enabled and loaded. A plugin invoked
+ * earlier in the same dispatch may disable or remove a later target which is then skipped.
+ *
+ * @param {PluginEntry}                entry - A plugin entry targeted by the dispatch.
+ *
+ * @param {Map<string, PluginEntry>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_ACTIVE = (entry, pluginMap) =>
+ entry.enabled && pluginMap instanceof Map && pluginMap.get(entry.name) === entry;
+
+/**
+ * Returns true if the given value is an array of strings.
+ *
+ * @param {*}  value - A value to test.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_STRING_ARRAY = (value) =>
+{
+   return Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+};
+
+/**
+ * Sorts plugin configs into dependency levels. Each level only depends on plugins in earlier levels or plugins that
+ * are already loaded. The original order of `pluginConfigs` is preserved within a level. Malformed configs are placed
+ * in the first level so that `add` / `addAsync` report the validation error.
+ *
+ * @param {Array<PluginConfig>}        pluginConfigs - An array of plugin config object hash entries.
+ *
+ * @param {Map<string, PluginEntry>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ *
+ * @returns {Array<Array<PluginConfig>>}
+ * @ignore
+ */
+const s_SORT_PLUGIN_CONFIGS = (pluginConfigs, pluginMap) =>
+{
+   const configMap = new Map();
+
+   for (const pluginConfig of pluginConfigs)
+   {
+      if (typeof pluginConfig === 'object' && pluginConfig !== null && typeof pluginConfig.name === 'string' &&
+       !configMap.has(pluginConfig.name))
+      {
+         configMap.set(pluginConfig.name, pluginConfig);
+      }
+   }
+
+   const configLevels = new Map();
+   const visiting = [];
 
-      const entry = this._pluginMap.get(pluginName);
+   const visit = (pluginConfig) =>
+   {
+      if (configLevels.has(pluginConfig)) { return configLevels.get(pluginConfig); }
 
-      if (entry instanceof PluginEntry)
+      let level = 0;
+
+      if (typeof pluginConfig === 'object' && pluginConfig !== null && s_IS_STRING_ARRAY(pluginConfig.dependencies))
       {
-         entry.enabled = enabled;
+         const cycleIndex = visiting.indexOf(pluginConfig.name);
 
-         // Invoke `typhonjs:plugin:manager:plugin:enabled` allowing external code to react to plugin enabled state.
-         if (this._eventbus)
+         if (cycleIndex >= 0)
          {
-            this._eventbus.trigger(`typhonjs:plugin:manager:plugin:enabled`, Object.assign({
-               enabled
-            }, JSON.parse(JSON.stringify(entry.data))));
+            throw new Error(`Plugin dependency cycle detected: ${
+             visiting.slice(cycleIndex).concat(pluginConfig.name).join(' -> ')}.`);
          }
 
-         return true;
+         visiting.push(pluginConfig.name);
+
+         for (const dependency of pluginConfig.dependencies)
+         {
+            if (configMap.has(dependency))
+            {
+               level = Math.max(level, visit(configMap.get(dependency)) + 1);
+            }
+            else if (!pluginMap.has(dependency))
+            {
+               throw new Error(`Plugin '${pluginConfig.name}' is missing dependency: ${dependency}.`);
+            }
+         }
+
+         visiting.pop();
       }
 
-      return false;
-   }
+      configLevels.set(pluginConfig, level);
 
-   /**
-    * Enables or disables a set of plugins given an array or iterabe of plugin names.
-    *
-    * @param {Array<string>}  pluginNames - An array / iterable of plugin names.
-    * @param {boolean}        enabled - The new enabled state.
-    *
-    * @returns {boolean} - Operation success.
-    */
-   setPluginsEnabled(pluginNames, enabled)
+      return level;
+   };
+
+   const levels = [];
+
+   for (const pluginConfig of pluginConfigs)
    {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+      const level = visit(pluginConfig);
 
-      if (typeof enabled !== 'boolean') { throw new TypeError(`'enabled' is not a boolean.`); }
+      while (levels.length <= level) { levels.push([]); }
+   }
 
-      let success = true;
+   for (const pluginConfig of pluginConfigs) { levels[configLevels.get(pluginConfig)].push(pluginConfig); }
 
-      for (const pluginName of pluginNames)
+   return levels;
+};
+
+/**
+ * Scans a directory for local plugins returning a PluginConfig for each matching file or subdirectory containing a
+ * `package.json`. Entries are sorted by name for a deterministic load order. Throws if a plugin name is discovered
+ * more than once.
+ *
+ * @param {string}   dir - The directory to scan.
+ *
+ * @param {RegExp}   pattern - Matches file names to load as plugins.
+ *
+ * @param {boolean}  recursive - If true subdirectories without a `package.json` are scanned.
+ *
+ * @returns {Array<PluginConfig>}
+ * @ignore
+ */
+const s_DISCOVER_PLUGIN_CONFIGS = (dir, pattern, recursive) =>
+{
+   if (typeof dir !== 'string') { throw new TypeError(`'dir' is not a 'string'.`); }
+   if (!(pattern instanceof RegExp)) { throw new TypeError(`'pattern' is not a 'RegExp'.`); }
+   if (typeof recursive !== 'boolean') { throw new TypeError(`'recursive' is not a 'boolean'.`); }
+
+   const pluginConfigs = [];
+
+   // Discovered file paths by plugin name.
+   const filePaths = new Map();
+
+   const add = (name, filePath) =>
+   {
+      // Plugins discovered in different directories may share a name which would otherwise fail to add quietly.
+      if (filePaths.has(name))
       {
-         if (!this.setPluginEnabled(pluginName, enabled)) { success = false; }
+         throw new Error(`Plugin '${name}' discovered more than once: '${filePaths.get(name)}' and '${filePath}'.`);
       }
 
-      return success;
-   }
+      filePaths.set(name, filePath);
 
-   /**
-    * Removes a plugin by name after unloading it and clearing any event bindings automatically.
-    *
-    * @param {string}   pluginName - The plugin name to remove.
-    *
-    * @returns {boolean} - Operation success.
-    */
-   remove(pluginName)
+      pluginConfigs.push({ name, target: s_TO_LOCAL_TARGET(filePath) });
+   };
+
+   const scan = (currentDir) =>
    {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+      for (const fileName of fs.readdirSync(currentDir).sort())
+      {
+         const filePath = path.join(currentDir, fileName);
+         const stats = fs.statSync(filePath);
 
-      const entry = this._pluginMap.get(pluginName);
+         if (stats.isDirectory())
+         {
+            const packagePath = path.join(filePath, 'package.json');
 
-      if (entry instanceof PluginEntry)
-      {
-         // Invoke private module method which allows skipping optional error checking.
-         s_INVOKE_SYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, pluginName, this._pluginMap,
-          this._options, false);
+            if (fs.existsSync(packagePath))
+            {
+               const packageJSON = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
 
-         // Automatically remove any potential reference to a stored event proxy instance.
-         try
+               add(typeof packageJSON.name === 'string' ? packageJSON.name : fileName, filePath);
+            }
+            else if (recursive && fileName !== 'node_modules')
+            {
+               scan(filePath);
+            }
+         }
+         else if (stats.isFile() && pattern.test(fileName))
          {
-            entry.instance._eventbus = void 0;
+            add(path.basename(fileName, path.extname(fileName)), filePath);
          }
-         catch (err) { /* nop */ }
-
-         if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
+      }
+   };
 
-         const pluginData = this.getPluginData(pluginName);
+   scan(path.resolve(dir));
 
-         this._pluginMap.delete(pluginName);
+   return pluginConfigs;
+};
 
-         // Invoke `typhonjs:plugin:manager:plugin:removed` allowing external code to react to plugin removed.
-         if (this._eventbus)
-         {
-            this._eventbus.trigger(`typhonjs:plugin:manager:plugin:removed`, pluginData);
-         }
+/**
+ * Converts an absolute file path to a target relative to the current working directory that always starts with `.`
+ * so that it is loaded as a `require-path` / `import-path` plugin.
+ *
+ * @param {string}   filePath - An absolute file path.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_TO_LOCAL_TARGET = (filePath) =>
+{
+   const relative = path.relative(process.cwd(), filePath);
 
-         return true;
-      }
+   return relative.startsWith('.') ? relative : `.${path.sep}${relative}`;
+};
 
-      return false;
-   }
+/**
+ * Returns the directories of all packages installed in the `node_modules` directories of a directory and each of its
+ * parent directories including scoped packages. Only directories containing a `package.json` are returned. Packages
+ * are sorted by name for each `node_modules` directory starting with the nearest.
+ *
+ * @param {string}   dir - An absolute directory path.
+ *
+ * @returns {Array<string>}
+ * @ignore
+ */
+const s_GET_MODULE_DIRS = (dir) =>
+{
+   const packageDirs = [];
 
-   /**
-    * Removes a plugin by name after unloading it and clearing any event bindings automatically.
-    *
-    * @param {string}   pluginName - The plugin name to remove.
-    *
-    * @returns {Promise<boolean>} - Operation success.
-    */
-   async removeAsync(pluginName)
+   for (let currentDir = dir, parentDir; ; currentDir = parentDir)
    {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
-
-      const entry = this._pluginMap.get(pluginName);
+      const modulesDir = path.join(currentDir, 'node_modules');
 
-      if (entry instanceof PluginEntry)
+      if (path.basename(currentDir) !== 'node_modules' && fs.existsSync(modulesDir))
       {
-         // Invoke private module method which allows skipping optional error checking.
-         await s_INVOKE_ASYNC_EVENTS('onPluginUnload', {}, {}, this._extraEventData, pluginName, this._pluginMap,
-          this._options, false);
-
-         // Automatically remove any potential reference to a stored event proxy instance.
-         try
+         for (const fileName of fs.readdirSync(modulesDir).sort())
          {
-            entry.instance._eventbus = void 0;
-         }
-         catch (err) { /* nop */ }
+            const filePath = path.join(modulesDir, fileName);
 
-         if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
-
-         const pluginData = this.getPluginData(pluginName);
+            if (fileName.startsWith('.') || !fs.statSync(filePath).isDirectory()) { continue; }
 
-         this._pluginMap.delete(pluginName);
+            // Scoped packages are nested one level deeper.
+            const candidateDirs = fileName.startsWith('@') ?
+             fs.readdirSync(filePath).sort().map((scopedName) => path.join(filePath, scopedName)) : [filePath];
 
-         // Invoke `typhonjs:plugin:manager:plugin:removed` allowing external code to react to plugin removed.
-         if (this._eventbus)
-         {
-            await this._eventbus.triggerAsync(`typhonjs:plugin:manager:plugin:removed`, pluginData);
+            for (const candidateDir of candidateDirs)
+            {
+               if (fs.existsSync(path.join(candidateDir, 'package.json'))) { packageDirs.push(candidateDir); }
+            }
          }
-
-         return true;
       }
 
-      return false;
+      parentDir = path.dirname(currentDir);
+
+      if (parentDir === currentDir) { break; }
    }
 
-   /**
-    * Removes all plugins after unloading them and clearing any event bindings automatically.
-    */
-   removeAll()
-   {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+   return packageDirs;
+};
 
-      for (const pluginName of this._pluginMap.keys())
-      {
-         this.remove(pluginName);
-      }
+/**
+ * Creates an async iterable yielding the values of the given Promises. Values are yielded in settle order unless the
+ * `order` option is `dispatch` in which case they are yielded in the order given. If the optional signal is aborted
+ * iteration rejects with an abort error.
+ *
+ * @param {Array<Promise<*>>}    pending - Promises which always resolve.
+ *
+ * @param {object}               options - Resolved dispatch options.
+ *
+ * @param {*}                    [error] - An optional dispatch error rejecting the first `next()` ending iteration.
+ *
+ * @returns {AsyncIterable<*>}
+ * @ignore
+ */
+const s_CREATE_ASYNC_ITERABLE = (pending, options, error = void 0) =>
+{
+   const settled = [];
+   const waiting = [];
 
-      this._pluginMap.clear();
-   }
+   let index = 0;
 
-   /**
-    * Removes all plugins after unloading them and clearing any event bindings automatically.
-    *
-    * @returns {Promise.<*>}
-    */
-   removeAllAsync()
+   if (options.order !== 'dispatch')
    {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+      for (const promise of pending)
+      {
+         promise.then((value) =>
+         {
+            if (waiting.length > 0) { waiting.shift()(value); }
+            else { settled.push(value); }
+         });
+      }
+   }
 
-      const values = [];
+   let rejection = error;
 
-      for (const pluginName of this._pluginMap.keys())
+   const iterator = {
+      next: () =>
       {
-         values.push(this.remove(pluginName));
-      }
+         if (typeof rejection !== 'undefined')
+         {
+            const reason = rejection;
 
-      this._pluginMap.clear();
+            rejection = void 0;
 
-      return Promise.all(values);
-   }
+            return Promise.reject(reason);
+         }
 
-   /**
-    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
-    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
-    *
-    * @param {string}   pluginName - The plugin name to remove.
-    *
-    * @returns {boolean} - Operation success.
-    * @private
-    */
-   _removeEventbus(pluginName)
-   {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+         if (index >= pending.length) { return Promise.resolve({ value: void 0, done: true }); }
 
-      return !this._options.noEventRemoval ? this.remove(pluginName) : false;
-   }
+         let promise;
 
-   /**
-    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
-    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
-    *
-    * @param {string}   pluginName - The plugin name to remove.
-    *
-    * @returns {Promise<boolean>} - Operation success.
-    * @private
-    */
-   async _removeEventbusAsync(pluginName)
-   {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+         if (options.order === 'dispatch')
+         {
+            promise = pending[index];
+         }
+         else
+         {
+            promise = settled.length > 0 ? Promise.resolve(settled.shift()) :
+             new Promise((resolve) => waiting.push(resolve));
+         }
 
-      return !this._options.noEventRemoval ? await this.removeAsync(pluginName) : Promise.resolve(false);
-   }
+         index++;
 
-   /**
-    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
-    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
-    *
-    * @private
-    */
-   _removeAllEventbus()
+         // Plugins skipped when invoked after being disabled or removed are not yielded.
+         return s_RACE_ABORT(promise, options.signal).then((value) => value === s_SKIP_RESULT ? iterator.next() :
+          { value, done: false });
+      },
+
+      [Symbol.asyncIterator]: () => iterator
+   };
+
+   return iterator;
+};
+
+/**
+ * Creates a function that runs tasks limiting the number of tasks in flight. Tasks are started in the order given and
+ * any task queued when the optional signal is aborted is rejected with an abort error instead of being started.
+ *
+ * @param {number}      concurrency - The maximum number of tasks in flight.
+ *
+ * @param {AbortSignal} [signal] - An optional AbortSignal.
+ *
+ * @returns {function(function(): *): Promise<*>} A function queuing a task and returning a Promise for its result.
+ * @ignore
+ */
+const s_CREATE_LIMITER = (concurrency, signal = void 0) =>
+{
+   const queue = [];
+   let active = 0;
+
+   const next = () =>
    {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
+      if (active >= concurrency || queue.length === 0) { return; }
 
-      if (!this._options.noEventRemoval) { this.removeAll(); }
-   }
+      const { task, resolve, reject } = queue.shift();
 
-   /**
-    * Provides the eventbus callback which may prevent removal if optional `noEventRemoval` is enabled. This disables
-    * the ability for plugins to be removed via events preventing any external code removing plugins in this manner.
-    *
-    * @private
-    */
-   async _removeAllEventbusAsync()
+      active++;
+
+      new Promise((taskResolve) =>
+      {
+         s_THROW_IF_ABORTED(signal);
+
+         taskResolve(task());
+      }).then(resolve, reject).then(() =>
+      {
+         active--;
+         next();
+      });
+   };
+
+   return (task) => new Promise((resolve, reject) =>
+   {
+      queue.push({ task, resolve, reject });
+      next();
+   });
+};
+
+/**
+ * Attaches a rejection handler to each thenable given such that a plugin Promise no longer awaited when dispatch
+ * rejects early does not raise an unhandled rejection.
+ *
+ * @param {Array<*>} results - Plugin results and Promises of a dispatch.
+ *
+ * @ignore
+ */
+const s_IGNORE_REJECTIONS = (results) =>
+{
+   for (const result of results)
    {
-      if (this._pluginMap === null) { throw new ReferenceError('This PluginManager instance has been destroyed.'); }
-
-      if (!this._options.noEventRemoval) { await this.removeAll(); }
+      if (s_IS_THENABLE(result)) { Promise.resolve(result).catch(() => {}); }
    }
-}
+};
 
 /**
- * Private implementation to invoke asynchronous events. This allows internal calls in PluginManager for
- * `onPluginLoad` and `onPluginUnload` callbacks to bypass optional error checking.
+ * Returns whether a value is a valid concurrency limit; a non-negative integer where 0 is unlimited.
  *
- * This dispatch method asynchronously passes to and returns from any invoked targets a PluginEvent. Any invoked plugin
- * may return a Promise which is awaited upon by `Promise.all` before returning the PluginEvent data via a Promise.
+ * @param {*}  value - A value to test.
  *
- * @param {string}                     methodName - Method name to invoke.
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_CONCURRENCY = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Creates the error rejected when dispatch is stopped by an aborted AbortSignal.
  *
- * @param {object}                     copyProps - plugin event object.
+ * @param {AbortSignal} signal - The aborted signal.
  *
- * @param {object}                     passthruProps - if true, event has plugin option.
+ * @returns {Error}
+ * @ignore
+ */
+const s_CREATE_ABORT_ERROR = (signal) =>
+{
+   const error = new Error('PluginManager dispatch was aborted.');
+
+   error.name = 'AbortError';
+   error.reason = signal.reason;
+
+   return error;
+};
+
+/**
+ * Returns true if the given error is the abort error raised when the given AbortSignal is aborted.
  *
- * @param {*}                          extraEventData - Optional extra data attached to all plugin events.
+ * @param {*}           error - An error to test.
  *
- * @param {string|Array<string>}       nameOrList - An optional plugin name or array / iterable of plugin names to
- *                                                  invoke.
+ * @param {AbortSignal} [signal] - An optional AbortSignal.
  *
- * @param {Map<string, PluginEvent>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_ABORT_ERROR = (error, signal) => typeof signal !== 'undefined' && signal.aborted &&
+ error instanceof Error && error.name === 'AbortError';
+
+/**
+ * Returns true if the given value is an AbortSignal.
  *
- * @param {object}                     options - Defines options for throwing exceptions. Turned off by default.
+ * @param {*}  value - A value to test.
  *
- * @param {boolean}                    [performErrorCheck=true] - If false optional error checking is disabled.
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_ABORT_SIGNAL = (value) => typeof value === 'object' && value !== null &&
+ typeof value.aborted === 'boolean' && typeof value.addEventListener === 'function' &&
+  typeof value.removeEventListener === 'function';
+
+/**
+ * Races a Promise against an optional AbortSignal rejecting with an abort error when the signal is aborted first.
  *
- * @returns {Promise<PluginEvent>}
+ * @param {Promise}     promise - The Promise to race.
+ *
+ * @param {AbortSignal} [signal] - An optional AbortSignal.
+ *
+ * @returns {Promise<*>}
+ * @ignore
  */
-const s_INVOKE_ASYNC_EVENTS = async (methodName, copyProps = {}, passthruProps = {}, extraEventData, nameOrList,
- pluginMap, options, performErrorCheck = true) =>
+const s_RACE_ABORT = (promise, signal) =>
 {
-   if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
-   if (typeof passthruProps !== 'object') { throw new TypeError(`'passthruProps' is not an object.`); }
-   if (typeof copyProps !== 'object') { throw new TypeError(`'copyProps' is not an object.`); }
+   if (typeof signal === 'undefined') { return Promise.resolve(promise); }
 
-   if (typeof nameOrList !== 'string' && !Array.isArray(nameOrList) &&
-    typeof nameOrList[Symbol.iterator] !== 'function')
+   return new Promise((resolve, reject) =>
    {
-      throw new TypeError(`'nameOrList' is not a string, array, or iterator.`);
-   }
+      const onAbort = () => reject(s_CREATE_ABORT_ERROR(signal));
 
-   // Track how many plugins were invoked.
-   let pluginInvokeCount = 0;
-   const pluginInvokeNames = [];
+      if (signal.aborted) { onAbort(); }
 
-   // Track if a plugin method is invoked
-   let hasMethod = false;
-   let hasPlugin = false;
+      signal.addEventListener('abort', onAbort, { once: true });
 
-   // Create plugin event.
-   const ev = new PluginEvent(copyProps, passthruProps, extraEventData);
+      Promise.resolve(promise).then((value) =>
+      {
+         signal.removeEventListener('abort', onAbort);
+         resolve(value);
+      }, (error) =>
+      {
+         signal.removeEventListener('abort', onAbort);
+         reject(error);
+      });
+   });
+};
 
-   const results = [];
+/**
+ * Throws an abort error if the given optional AbortSignal is aborted.
+ *
+ * @param {AbortSignal} [signal] - An optional AbortSignal.
+ *
+ * @ignore
+ */
+const s_THROW_IF_ABORTED = (signal) =>
+{
+   if (typeof signal !== 'undefined' && signal.aborted) { throw s_CREATE_ABORT_ERROR(signal); }
+};
 
-   if (typeof nameOrList === 'string')
-   {
-      const entry = pluginMap.get(nameOrList);
+/**
+ * Counts ES module reloads to create unique import URLs that bypass the ES module cache.
+ * @type {number}
+ * @ignore
+ */
+let s_RELOAD_COUNT = 0;
 
-      if (entry instanceof PluginEntry && entry.enabled && entry.instance)
-      {
-         hasPlugin = true;
+/**
+ * Creates a new PluginEntry for a reloaded plugin preserving the data and enabled state of the existing entry. Any
+ * EventProxy of the existing entry is destroyed removing all event bindings of the existing plugin.
+ *
+ * @param {PluginEntry}    entry - The existing plugin entry.
+ *
+ * @param {*}              instance - The reloaded plugin instance.
+ *
+ * @param {EventProxy}     eventProxy - The EventProxy for the reloaded plugin.
+ *
+ * @returns {PluginEntry}
+ * @ignore
+ */
+const s_CREATE_RELOADED_ENTRY = (entry, instance, eventProxy) =>
+{
+   // Automatically remove any potential reference to a stored event proxy instance.
+   try
+   {
+      entry.instance._eventbus = void 0;
+   }
+   catch (err) { /* nop */ }
 
-         if (typeof entry.instance[methodName] === 'function')
-         {
-            ev.eventbus = entry.eventProxy;
-            ev.pluginName = entry.name;
-            ev.pluginOptions = entry.data.plugin.options;
+   if (entry.eventProxy instanceof EventProxy) { entry.eventProxy.destroy(); }
 
-            const result = entry.instance[methodName](ev);
+   const reloadedEntry = new PluginEntry(entry.name, entry.data, instance, eventProxy);
 
-            if (typeof result !== 'undefined' && result !== null) { results.push(result); }
+   reloadedEntry.enabled = entry.enabled;
+   reloadedEntry.priority = entry.priority;
 
-            hasMethod = true;
-            pluginInvokeCount++;
-            pluginInvokeNames.push(entry.name);
-         }
-      }
-   }
-   else
-   {
-      for (const name of nameOrList)
-      {
-         const entry = pluginMap.get(name);
+   return reloadedEntry;
+};
 
-         if (entry instanceof PluginEntry && entry.enabled && entry.instance)
-         {
-            hasPlugin = true;
+/**
+ * Returns the file name of a cached module and recursively any child modules not located in a `node_modules`
+ * directory.
+ *
+ * @param {string}      filename - The resolved module file name.
+ *
+ * @param {Set<string>} [visited] - Tracks visited modules as modules may have cyclic children.
+ *
+ * @returns {Array<string>}
+ * @ignore
+ */
+const s_GET_LOCAL_MODULE_FILES = (filename, visited = new Set()) =>
+{
+   const cached = require.cache[filename];
 
-            if (typeof entry.instance[methodName] === 'function')
-            {
-               ev.eventbus = entry.eventProxy;
-               ev.pluginName = entry.name;
-               ev.pluginOptions = entry.data.plugin.options;
+   if (typeof cached === 'undefined' || visited.has(filename)) { return []; }
 
-               const result = entry.instance[methodName](ev);
+   visited.add(filename);
 
-               if (typeof result !== 'undefined' && result !== null) { results.push(result); }
+   let files = [filename];
 
-               hasMethod = true;
-               pluginInvokeCount++;
-               pluginInvokeNames.push(entry.name);
-            }
-         }
+   for (const child of cached.children)
+   {
+      if (child.id.split(path.sep).indexOf('node_modules') < 0)
+      {
+         files = files.concat(s_GET_LOCAL_MODULE_FILES(child.id, visited));
       }
    }
 
-   if (performErrorCheck && options.throwNoPlugin && !hasPlugin)
-   {
-      throw new Error(`PluginManager failed to find any target plugins.`);
-   }
+   return files;
+};
 
-   if (performErrorCheck && options.throwNoMethod && !hasMethod)
+/**
+ * Removes a module and any child modules not located in a `node_modules` directory from the require cache.
+ *
+ * @param {string}   filename - The resolved module file name.
+ *
+ * @ignore
+ */
+const s_PURGE_REQUIRE_CACHE = (filename) =>
+{
+   for (const file of s_GET_LOCAL_MODULE_FILES(filename))
    {
-      throw new Error(`PluginManager failed to invoke '${methodName}'.`);
-   }
+      const cached = require.cache[file];
 
-   // Add meta data for plugin invoke count.
-   ev.data.$$plugin_invoke_count = pluginInvokeCount;
-   ev.data.$$plugin_invoke_names = pluginInvokeNames;
-
-   await Promise.all(results);
+      // Remove the stale module from any parent so that it can be garbage collected.
+      if (cached.parent && Array.isArray(cached.parent.children))
+      {
+         cached.parent.children = cached.parent.children.filter((child) => child !== cached);
+      }
 
-   return ev.data;
+      delete require.cache[file];
+   }
 };
 
 /**
- * Private implementation to invoke synchronous events. This allows internal calls in PluginManager for
- * `onPluginLoad` and `onPluginUnload` callbacks to bypass optional error checking.
+ * Resolves an NPM module target from the given directory. Without a directory the target is returned as is and
+ * resolved relative to PluginManager.
  *
- * This dispatch method synchronously passes to and returns from any invoked targets a PluginEvent.
+ * @param {string}   target - The NPM module to resolve.
  *
- * @param {string}                     methodName - Method name to invoke.
+ * @param {string}   [cwd] - The directory to resolve the NPM module from.
  *
- * @param {object}                     copyProps - plugin event object.
+ * @returns {string}
+ * @ignore
+ */
+const s_RESOLVE_MODULE = (target, cwd) =>
+ typeof cwd === 'string' ? require.resolve(target, { paths: [path.resolve(cwd)] }) : target;
+
+/**
+ * Imports a local ES module again bypassing the ES module cache.
  *
- * @param {object}                     passthruProps - if true, event has plugin option.
+ * @param {string}   target - The local file path to import.
  *
- * @param {*}                          extraEventData - Optional extra data attached to all plugin events.
+ * @returns {Promise<*>} The module namespace.
+ * @ignore
+ */
+const s_RELOAD_IMPORT = async (target) =>
+{
+   const href = url.pathToFileURL(require.resolve(path.resolve(target))).href;
+
+   return import(`${href}?reload=${++s_RELOAD_COUNT}`);
+};
+
+/**
+ * Purges a `require-path` or `require-module` target from the require cache and requires it again.
  *
- * @param {string|Array<string>}       nameOrList - An optional plugin name or array / iterable of plugin names to
- *                                                  invoke.
+ * @param {string}   target - The NPM module or local file path to reload.
  *
- * @param {Map<string, PluginEvent>}   pluginMap - Stores the plugins by name with an associated PluginEntry.
+ * @param {string}   type - The plugin type: `require-path` or `require-module`.
  *
- * @param {object}                     options - Defines options for throwing exceptions. Turned off by default.
+ * @param {string}   [cwd] - The directory a `require-module` target is resolved from.
  *
- * @param {boolean}                    [performErrorCheck=true] - If false optional error checking is disabled.
+ * @returns {*}
+ * @ignore
+ */
+const s_RELOAD_REQUIRE = (target, type, cwd) =>
+{
+   const filename = require.resolve(type === 'require-path' ? path.resolve(target) : s_RESOLVE_MODULE(target, cwd));
+
+   s_PURGE_REQUIRE_CACHE(filename);
+
+   return require(filename); // eslint-disable-line global-require
+};
+
+/**
+ * Creates the plugin instance from a loaded instance or module export. In `factory` mode the export is invoked and in
+ * `construct` mode the export is instantiated with `new`; both receive the plugin options and EventProxy. Otherwise
+ * the export is the plugin instance.
  *
- * @returns {PluginEvent}
+ * @param {*}           exported - The loaded instance or module export.
+ *
+ * @param {PluginData}  pluginData - The plugin data.
+ *
+ * @param {EventProxy}  eventProxy - The EventProxy associated with the plugin.
+ *
+ * @returns {*} The plugin instance or for factories possibly a Promise resolving to the plugin instance.
+ * @ignore
  */
-const s_INVOKE_SYNC_EVENTS = (methodName, copyProps = {}, passthruProps = {}, extraEventData, nameOrList, pluginMap,
- options, performErrorCheck = true) =>
+const s_CREATE_INSTANCE = (exported, pluginData, eventProxy) =>
 {
-   if (typeof methodName !== 'string') { throw new TypeError(`'methodName' is not a string.`); }
-   if (typeof passthruProps !== 'object') { throw new TypeError(`'passthruProps' is not an object.`); }
-   if (typeof copyProps !== 'object') { throw new TypeError(`'copyProps' is not an object.`); }
+   const { construct, factory, name, options } = pluginData.plugin;
 
-   if (typeof nameOrList !== 'string' && !Array.isArray(nameOrList) &&
-    typeof nameOrList[Symbol.iterator] !== 'function')
+   if (!construct && !factory) { return exported; }
+
+   if (typeof exported !== 'function')
    {
-      throw new TypeError(`'nameOrList' is not a string, array, or iterator.`);
+      throw new TypeError(`Plugin '${name}' does not export a function for '${construct ? 'construct' : 'factory'}'.`);
    }
 
-   // Track how many plugins were invoked.
-   let pluginInvokeCount = 0;
-   const pluginInvokeNames = [];
+   return construct ? Reflect.construct(exported, [options, eventProxy]) : exported(options, eventProxy);
+};
 
-   // Track if a plugin method is invoked
-   let hasMethod = false;
-   let hasPlugin = false;
+/**
+ * Returns whether a value is a valid async timeout; a non-negative finite number of milliseconds where 0 waits forever.
+ *
+ * @param {*}  value - A value to test.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_TIMEOUT = (value) => Number.isFinite(value) && value >= 0;
 
-   // Create plugin event.
-   const ev = new PluginEvent(copyProps, passthruProps, extraEventData);
+/**
+ * Races a plugin Promise against a timer rejecting with a `PluginTimeoutError` naming the plugin and method when the
+ * Promise does not settle in time.
+ *
+ * @param {Promise}  promise - The plugin Promise.
+ *
+ * @param {number}   timeout - Milliseconds to wait for the Promise to settle.
+ *
+ * @param {string}   pluginName - The plugin name.
+ *
+ * @param {string}   methodName - The invoked method name.
+ *
+ * @returns {Promise<*>}
+ * @ignore
+ */
+const s_TIMEOUT = (promise, timeout, pluginName, methodName) =>
+{
+   let timeoutId;
 
-   if (typeof nameOrList === 'string')
+   const timer = new Promise((resolve, reject) =>
    {
-      const entry = pluginMap.get(nameOrList);
-
-      if (entry instanceof PluginEntry && entry.enabled && entry.instance)
+      timeoutId = setTimeout(() =>
       {
-         hasPlugin = true;
-
-         if (typeof entry.instance[methodName] === 'function')
-         {
-            ev.eventbus = entry.eventProxy;
-            ev.pluginName = entry.name;
-            ev.pluginOptions = entry.data.plugin.options;
+         reject(new PluginTimeoutError(pluginName, methodName, timeout));
+      }, timeout);
+   });
 
-            entry.instance[methodName](ev);
+   return Promise.race([promise, timer]).then((value) =>
+   {
+      clearTimeout(timeoutId);
 
-            hasMethod = true;
-            pluginInvokeCount++;
-            pluginInvokeNames.push(entry.name);
-         }
-      }
-   }
-   else
+      return value;
+   }, (error) =>
    {
-      for (const name of nameOrList)
-      {
-         const entry = pluginMap.get(name);
+      clearTimeout(timeoutId);
 
-         if (entry instanceof PluginEntry && entry.enabled && entry.instance)
-         {
-            hasPlugin = true;
+      throw error;
+   });
+};
 
-            if (typeof entry.instance[methodName] === 'function')
-            {
-               ev.eventbus = entry.eventProxy;
-               ev.pluginName = entry.name;
-               ev.pluginOptions = entry.data.plugin.options;
+/**
+ * Creates a detailed invocation result record for a plugin. Any error collected for the plugin during dispatch is
+ * included.
+ *
+ * @param {PluginEntry}          entry - The invoked plugin entry.
+ *
+ * @param {*}                    result - The invocation result.
+ *
+ * @param {object}               dispatch - The dispatch state holding collected errors.
+ *
+ * @param {number}               start - The timestamp in milliseconds when invocation started.
+ *
+ * @returns {InvokeDetailedResult}
+ * @ignore
+ */
+const s_CREATE_DETAILED_RESULT = (entry, result, dispatch, start) =>
+{
+   return {
+      pluginName: entry.name,
+      result,
+      error: dispatch.errors.get(entry.name),
+      durationMs: s_NOW() - start
+   };
+};
 
-               entry.instance[methodName](ev);
+/**
+ * Returns a high resolution timestamp in milliseconds.
+ *
+ * @returns {number}
+ * @ignore
+ */
+const s_NOW = () =>
+{
+   const [seconds, nanoseconds] = process.hrtime();
 
-               hasMethod = true;
-               pluginInvokeCount++;
-               pluginInvokeNames.push(entry.name);
-            }
-         }
-      }
-   }
+   return (seconds * 1e3) + (nanoseconds / 1e6);
+};
 
-   if (performErrorCheck && options.throwNoPlugin && !hasPlugin)
+/**
+ * Records the duration and outcome of a plugin method invocation.
+ *
+ * @param {Map<string, Map<string, object>>} metricsData - Stores invocation metrics by plugin and method name.
+ *
+ * @param {string}   pluginName - The invoked plugin name.
+ *
+ * @param {string}   methodName - The invoked method name.
+ *
+ * @param {number}   start - The timestamp in milliseconds when invocation started.
+ *
+ * @param {boolean}  failed - True if the invocation threw or rejected.
+ *
+ * @ignore
+ */
+const s_RECORD_METRICS = (metricsData, pluginName, methodName, start, failed) =>
+{
+   const duration = s_NOW() - start;
+
+   let methods = metricsData.get(pluginName);
+
+   if (typeof methods === 'undefined')
    {
-      throw new Error(`PluginManager failed to find any target plugins.`);
+      methods = new Map();
+      metricsData.set(pluginName, methods);
    }
 
-   if (performErrorCheck && options.throwNoMethod && !hasMethod)
+   let metrics = methods.get(methodName);
+
+   if (typeof metrics === 'undefined')
    {
-      throw new Error(`PluginManager failed to invoke '${methodName}'.`);
+      metrics = { count: 0, totalMs: 0, maxMs: 0, errorCount: 0 };
+      methods.set(methodName, metrics);
    }
 
-   // Add meta data for plugin invoke count.
-   ev.data.$$plugin_invoke_count = pluginInvokeCount;
-   ev.data.$$plugin_invoke_names = pluginInvokeNames;
+   metrics.count++;
+   metrics.totalMs += duration;
+   metrics.maxMs = Math.max(metrics.maxMs, duration);
 
-   return ev.data;
+   if (failed) { metrics.errorCount++; }
 };
 
 /**
- * Walks an objects inheritance tree collecting property names stopping before `Object` is reached.
+ * Returns true if the given value is a Promise or thenable.
  *
- * @param {object}   obj - object to walks.
+ * @param {*}  value - A value to test.
  *
- * @returns {Array}
+ * @returns {boolean}
  * @ignore
  */
-const s_GET_ALL_PROPERTY_NAMES = (obj) =>
+const s_IS_THENABLE = (value) =>
 {
-   const props = [];
-
-   do
-   {
-      Object.getOwnPropertyNames(obj).forEach((prop) => { if (props.indexOf(prop) === -1) { props.push(prop); } });
-      obj = Object.getPrototypeOf(obj);
-   } while (typeof obj !== 'undefined' && obj !== null && !(obj === Object.prototype));
-
-   return props;
+   return value !== null && (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function';
 };
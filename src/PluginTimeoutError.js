@@ -0,0 +1,45 @@
+import PluginError from './PluginError.js';
+
+/**
+ * Defines the error raised when a Promise returned by a plugin method does not settle within the async timeout.
+ */
+export default class PluginTimeoutError extends PluginError
+{
+   /**
+    * Instantiates a PluginTimeoutError.
+    *
+    * @param {string}   pluginName - The plugin name.
+    *
+    * @param {string}   methodName - The invoked method name.
+    *
+    * @param {number}   timeout - The timeout in milliseconds.
+    */
+   constructor(pluginName, methodName, timeout)
+   {
+      super(`Plugin '${pluginName}' timed out after ${timeout}ms invoking '${methodName}'.`);
+
+      /**
+       * The error name.
+       * @type {string}
+       */
+      this.name = 'PluginTimeoutError';
+
+      /**
+       * The plugin name.
+       * @type {string}
+       */
+      this.pluginName = pluginName;
+
+      /**
+       * The invoked method name.
+       * @type {string}
+       */
+      this.methodName = methodName;
+
+      /**
+       * The timeout in milliseconds.
+       * @type {number}
+       */
+      this.timeout = timeout;
+   }
+}
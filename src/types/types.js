@@ -7,9 +7,28 @@
  * @property {string}   [target] - Defines the target NPM module to load or defines a local file (full
  *                                 path or relative to current working directory to load.
  *
+ * @property {string}   [cwd] - Defines the directory an NPM module target is resolved from; by default NPM modules
+ *                              are resolved relative to PluginManager.
+ *
  * @property {string}   [instance] - Defines an existing object instance to use as the plugin.
  *
  * @property {object}   [options] - Defines an object of options for the plugin.
+ *
+ * @property {Array<string>}  [dependencies] - Defines the names of other plugins that must be loaded before this
+ *                                             plugin and unloaded after it.
+ *
+ * @property {boolean}  [factory] - If true the loaded instance or module export is a function invoked with the plugin
+ *                                  options and EventProxy returning the plugin; async factories require `addAsync`.
+ *
+ * @property {boolean}  [construct] - If true the loaded instance or module export is a class instantiated with the
+ *                                    plugin options and EventProxy.
+ *
+ * @property {number}   [priority=0] - Defines the dispatch priority; plugins with a higher priority are invoked first.
+ *                                     A plugin may override the priority per method by defining a `methodPriorities`
+ *                                     object mapping method names to priorities.
+ *
+ * @property {Array<string>}  [tags] - Defines tags which may be used to select the plugin for dispatch; for example
+ *                                     `['formatter', 'experimental']`.
  */
 
 /**
@@ -24,13 +43,76 @@
  *
  * @property {string}   targetEscaped - Provides the target, but properly escaped for RegExp usage.
  *
- * @property {string}   type - The type of plugin: `instance`, `require-module`, or `require-path`.
+ * @property {string}   [cwd] - The directory an NPM module target is resolved from.
+ *
+ * @property {string}   type - The type of plugin: `instance`, `import-module`, `import-path`, `require-module`, or
+ *                             `require-path`.
+ *
+ * @property {boolean}  defaultExport - True if the plugin export is the `default` export of the loaded ES module or
+ *                                      CommonJS module transpiled from an ES module; reloading applies the same export.
  *
  * @property {object}   options - Defines an object of options for the plugin.
  *
+ * @property {Array<string>}  dependencies - The names of other plugins this plugin depends on.
+ *
+ * @property {boolean}  factory - True if the plugin instance was created by invoking the loaded export.
+ *
+ * @property {boolean}  construct - True if the plugin instance was created by instantiating the loaded export.
+ *
+ * @property {number}   priority - The initial dispatch priority of the plugin.
+ *
+ * @property {Array<string>}  tags - The tags of the plugin.
+ *
  * @property {string}   managerEventPrepend - The plugin manager event prepend string.
  */
 
+/**
+ * Selects plugins by name, glob, predicate, or tags. A string containing `*` or `?` is matched as a glob against plugin
+ * names (for example `'lint-*'`), a function is invoked with a copy of each plugin's data returning true to select
+ * the plugin, and an object with a `tags` string or array selects plugins defining all given tags. Any other string
+ * or array / iterable of strings selects plugins by name.
+ *
+ * @typedef {string|Iterable<string>|function(PluginData): boolean|{tags: string|Array<string>}} PluginSelector
+ */
+
+/**
+ * @typedef {object} InvokeDetailedResult
+ *
+ * @property {string}   pluginName - The name of the invoked plugin.
+ *
+ * @property {*}        result - The value returned or resolved by the plugin method.
+ *
+ * @property {Error}    [error] - Any error thrown or rejected by the plugin method.
+ *
+ * @property {number}   durationMs - The duration of the invocation in milliseconds.
+ */
+
+/**
+ * @typedef {object} InvokeOptions
+ *
+ * @property {AbortSignal} [signal] - An AbortSignal for asynchronous dispatch. It is available to plugins as
+ *                                    `ev.signal`; when aborted no further plugins are invoked and dispatch rejects with
+ *                                    an `AbortError`.
+ *
+ * @property {number}   [asyncTimeout] - Overrides the plugin manager async timeout in milliseconds for a single
+ *                                       asynchronous dispatch.
+ *
+ * @property {number}   [concurrency] - Overrides the plugin manager concurrency limit for a single asynchronous
+ *                                      dispatch.
+ *
+ * @property {string}   [errorPolicy] - Overrides the plugin manager error policy for a single dispatch: `throw` aborts
+ *                                      dispatch, `collect` continues dispatch then throws a `PluginInvokeError` which
+ *                                      follows `AggregateError` semantics with an `errors` array in dispatch order, a
+ *                                      `pluginErrors` Map of plugin name to error, and the dispatch `result`, and `log`
+ *                                      continues dispatch posting errors to `log:warn`.
+ *
+ * @property {boolean}  [readOnlyEvents] - Overrides the plugin manager read only event data mode for a single event
+ *                                         dispatch.
+ *
+ * @property {string}   [order] - For {@link PluginManager#invokeAsyncIterator} yields results in `settle` order (the
+ *                                default) or `dispatch` order.
+ */
+
 /**
  * @typedef {object} PluginManagerOptions
  *
@@ -48,11 +130,49 @@
  * @property {boolean}   [noEventRemoval] - If true this prevents plugins from being removed by `plugins:remove` and
  *                                          `plugins:remove:all` events forcing direct method invocation for removal.
  *
+ * @property {number}    [asyncTimeout] - Milliseconds to wait for a Promise returned by a plugin during asynchronous
+ *                                        dispatch or lifecycle callbacks before rejecting with a `PluginTimeoutError`;
+ *                                        0 waits forever.
+ *
+ * @property {string|Function} [cloneStrategy] - Defines how `copyProps` is copied for event dispatch: `structured`
+ *                                              (the default), `json`, or a function returning a copy for custom
+ *                                              types.
+ *
+ * @property {number}    [concurrency] - The maximum number of plugin methods in flight during asynchronous parallel
+ *                                       dispatch; 0 is unlimited.
+ *
+ * @property {boolean}   [cascadeRemove] - If true then removing a plugin also removes any plugins that depend on it
+ *                                         otherwise removal is refused.
+ *
+ * @property {string}    [errorPolicy] - Defines how errors raised by plugins during dispatch are handled: `throw`,
+ *                                       `collect`, or `log`.
+ *
+ * @property {boolean}   [invokeHooks] - If true then `onBeforeInvoke` and `onAfterInvoke` are invoked on all plugins
+ *                                       implementing them around each plugin method invocation made by the invoke
+ *                                       methods. The PluginEvent data contains `methodName`, `targetPlugin`, and `args`
+ *                                       (or `event` for event dispatch) along with `result` or `error` after invocation.
+ *
+ * @property {boolean}   [metrics] - If true then the call count, cumulative and max duration, and error count of each
+ *                                   plugin method invoked by the invoke methods is recorded.
+ *
+ * @property {boolean}   [readOnlyEvents] - If true then plugins invoked by event dispatch can not modify the shared
+ *                                          event data; writes are instead recorded by plugin name as `{ path, value }`
+ *                                          entries in `$$plugin_writes`.
+ *
  * @property {boolean}   [throwNoMethod] - If true then when a method fails to be invoked by any plugin an exception
  *                                         will be thrown.
  *
  * @property {boolean}   [throwNoPlugin] - If true then when no plugin is matched to be invoked an exception will be
  *                                         thrown.
+ *
+ * @property {boolean}   [watch] - If true then `require-path` and `import-path` plugins are reloaded when their files
+ *                                 change.
+ *
+ * @property {number}    [watchDebounce] - Milliseconds to wait after the last file change before reloading.
+ */
+
+/**
+ * @external {AbortSignal} https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal
  */
 
 /**
@@ -0,0 +1,13 @@
+/**
+ * Defines a CommonJS plugin loaded by a local file path.
+ */
+module.exports =
+{
+   /**
+    * Returns a number result.
+    * @param {number} a - A number.
+    * @param {number} b - A number.
+    * @returns {number}
+    */
+   test(a, b) { return a - b; }
+};
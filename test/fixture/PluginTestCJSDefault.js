@@ -0,0 +1,15 @@
+/**
+ * Defines a CommonJS plugin transpiled from an ES module with a default export.
+ */
+Object.defineProperty(exports, '__esModule', { value: true });
+
+exports.default =
+{
+   /**
+    * Returns a number result.
+    * @param {number} a - A number.
+    * @param {number} b - A number.
+    * @returns {number}
+    */
+   test(a, b) { return a * b; }
+};
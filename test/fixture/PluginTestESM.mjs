@@ -0,0 +1,13 @@
+/**
+ * Defines an ES module plugin with a default export.
+ */
+export default class PluginTestESM
+{
+   /**
+    * Returns a number result.
+    * @param {number} a - A number.
+    * @param {number} b - A number.
+    * @returns {number}
+    */
+   static test(a, b) { return a + b; }
+}
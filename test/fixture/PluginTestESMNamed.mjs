@@ -0,0 +1,7 @@
+/**
+ * Returns a number result.
+ * @param {number} a - A number.
+ * @param {number} b - A number.
+ * @returns {number}
+ */
+export function test(a, b) { return a * b; }
@@ -0,0 +1,11 @@
+/**
+ * Defines a discoverable plugin.
+ */
+module.exports =
+{
+   /**
+    * Returns the plugin name.
+    * @returns {string}
+    */
+   test() { return 'PluginDiscoverA'; }
+};
@@ -0,0 +1,11 @@
+/**
+ * Defines a discoverable plugin in a nested directory.
+ */
+module.exports =
+{
+   /**
+    * Returns the plugin name.
+    * @returns {string}
+    */
+   test() { return 'PluginDiscoverB'; }
+};
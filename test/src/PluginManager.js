@@ -1,8 +1,16 @@
-import { assert }    from 'chai';
-import EventProxy    from 'backbone-esnext-events/src/EventProxy';
-import TyphonEvents  from 'backbone-esnext-events/src/TyphonEvents';
+import fs                 from 'fs';
+import os                 from 'os';
+import path               from 'path';
 
-import PluginManager from '../../src/PluginManager.js';
+import { assert }         from 'chai';
+import EventProxy         from 'backbone-esnext-events/src/EventProxy';
+import TyphonEvents       from 'backbone-esnext-events/src/TyphonEvents';
+
+import PluginAddError     from '../../src/PluginAddError.js';
+import PluginEvent        from '../../src/PluginEvent.js';
+import PluginInvokeError  from '../../src/PluginInvokeError.js';
+import PluginManager      from '../../src/PluginManager.js';
+import PluginTimeoutError from '../../src/PluginTimeoutError.js';
 
 /**
  * A plugin class
@@ -137,6 +145,129 @@ class PluginTestSync
    test(a, b) { return a + b + this.c; }
 }
 
+/**
+ * Returns a Promise resolving after a delay with the result of an optional callback.
+ *
+ * @param {number}   ms - The delay in milliseconds.
+ * @param {Function} [callback] - Invoked after the delay returning the resolved value.
+ *
+ * @returns {Promise<*>}
+ */
+const delay = (ms, callback = () => void 0) => new Promise((resolve) => setTimeout(() => resolve(callback()), ms));
+
+/**
+ * Creates a plugin object with a single method that pushes the plugin name to a log and returns the name. When a delay
+ * is given the method returns a Promise and the name is logged after the delay.
+ *
+ * @param {string}   name - The name pushed to the log.
+ * @param {string[]} log - Receives the name on each invocation.
+ * @param {string}   [methodName='test'] - The method to implement.
+ * @param {number}   [ms] - An optional delay in milliseconds.
+ *
+ * @returns {object}
+ */
+const createLogPlugin = (name, log, methodName = 'test', ms = void 0) =>
+{
+   const record = () =>
+   {
+      log.push(name);
+      return name;
+   };
+
+   return { [methodName]: () => typeof ms === 'number' ? delay(ms, record) : record() };
+};
+
+/**
+ * Tracks the number of plugin method invocations in flight.
+ */
+class InFlightTracker
+{
+   /**
+    * A ctor
+    */
+   constructor()
+   {
+      this.active = 0;
+      this.maxActive = 0;
+   }
+
+   /**
+    * Counts an invocation as in flight until a delay has passed.
+    * @param {number}   ms - The delay in milliseconds.
+    * @param {Function} [callback] - Invoked after the delay returning the resolved value.
+    * @returns {Promise<*>}
+    */
+   run(ms, callback = () => void 0)
+   {
+      this.active++;
+      this.maxActive = Math.max(this.maxActive, this.active);
+
+      return delay(ms, () =>
+      {
+         this.active--;
+         return callback();
+      });
+   }
+}
+
+/**
+ * Invokes a function and returns the error it throws or the rejection reason of the Promise it returns.
+ *
+ * @param {Function} fn - The function to invoke.
+ *
+ * @returns {Promise<*>}
+ */
+const getError = async (fn) =>
+{
+   try
+   {
+      await fn();
+   }
+   catch (err)
+   {
+      return err;
+   }
+
+   throw new Error('No error thrown: should not reach here!');
+};
+
+/**
+ * Invokes a callback with a new temporary directory that is removed after the callback completes.
+ *
+ * @param {Function} callback - Receives the temporary directory path.
+ *
+ * @returns {Promise<*>}
+ */
+const withTempDir = async (callback) =>
+{
+   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-manager-'));
+
+   try
+   {
+      return await callback(dir);
+   }
+   finally
+   {
+      fs.rmSync(dir, { recursive: true, force: true });
+   }
+};
+
+/**
+ * Rewrites a module file advancing its modification time. babel-register caches compiled modules by modification
+ * time in milliseconds and otherwise returns the previous compile when a file is rewritten within a millisecond.
+ *
+ * @param {string}   filePath - The module file path.
+ *
+ * @param {string}   source - The module source.
+ */
+const rewriteModule = (filePath, source) =>
+{
+   const mtime = new Date(fs.statSync(filePath).mtime.getTime() + 1000);
+
+   fs.writeFileSync(filePath, source);
+   fs.utimesSync(filePath, mtime, mtime);
+};
+
 suite('PluginManager:', () =>
 {
    let pluginManager, testData;
@@ -206,7 +337,7 @@ suite('PluginManager:', () =>
       const event = await pluginManager.invokeAsyncEvent('test');
 
       assert.isObject(event);
-      assert.lengthOf(Object.keys(event), 2);
+      assert.lengthOf(Object.keys(event), 4);
       assert.strictEqual(event.$$plugin_invoke_count, 0);
    });
 
@@ -215,7 +346,7 @@ suite('PluginManager:', () =>
       const event = pluginManager.invokeSyncEvent('test');
 
       assert.isObject(event);
-      assert.lengthOf(Object.keys(event), 2);
+      assert.lengthOf(Object.keys(event), 4);
       assert.strictEqual(event.$$plugin_invoke_count, 0);
    });
 
@@ -226,7 +357,7 @@ suite('PluginManager:', () =>
       const event = await pluginManager.invokeAsyncEvent('nop');
 
       assert.isObject(event);
-      assert.lengthOf(Object.keys(event), 2);
+      assert.lengthOf(Object.keys(event), 4);
       assert.strictEqual(event.$$plugin_invoke_count, 0);
    });
 
@@ -237,7 +368,7 @@ suite('PluginManager:', () =>
       const event = pluginManager.invokeSyncEvent('nop');
 
       assert.isObject(event);
-      assert.lengthOf(Object.keys(event), 2);
+      assert.lengthOf(Object.keys(event), 4);
       assert.strictEqual(event.$$plugin_invoke_count, 0);
    });
 
@@ -621,4 +752,1556 @@ suite('PluginManager:', () =>
       assert.strictEqual(results[1].plugin, 'PluginTestNoName2');
       assert.strictEqual(results[1].method, 'test2');
    });
+
+   test('addAsync - loads CommonJS local file with require', async () =>
+   {
+      const pluginData = await pluginManager.addAsync({ name: 'PluginTestCJS', target: './test/fixture/PluginTestCJS.js' });
+
+      assert.strictEqual(pluginData.plugin.type, 'require-path');
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestCJS'), 1);
+   });
+
+   test('addAsync - unwraps the default export of a CommonJS module transpiled from an ES module', async () =>
+   {
+      const pluginData = await pluginManager.addAsync({ name: 'PluginTestCJSDefault',
+       target: './test/fixture/PluginTestCJSDefault.js' });
+
+      assert.strictEqual(pluginData.plugin.type, 'require-path');
+      assert.isTrue(pluginData.plugin.defaultExport);
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestCJSDefault'), 6);
+
+      assert.isTrue(await pluginManager.reloadAsync('PluginTestCJSDefault'));
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestCJSDefault'), 6);
+
+      assert.isTrue(pluginManager.reload('PluginTestCJSDefault'));
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestCJSDefault'), 6);
+   });
+
+   test('add - unwraps the default export of a transpiled module the same way when reloaded', async () =>
+   {
+      const pluginData = pluginManager.add({ name: 'PluginTestCJSDefault',
+       target: './test/fixture/PluginTestCJSDefault.js' });
+
+      assert.isTrue(pluginData.plugin.defaultExport);
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestCJSDefault'), 6);
+
+      assert.isTrue(await pluginManager.reloadAsync('PluginTestCJSDefault'));
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestCJSDefault'), 6);
+
+      assert.isTrue(pluginManager.reload('PluginTestCJSDefault'));
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestCJSDefault'), 6);
+
+      assert.isFalse(pluginManager.add({ name: 'PluginTestCJS', target: './test/fixture/PluginTestCJS.js' }).plugin
+       .defaultExport);
+   });
+
+   test('addAsync - loads ES module local file with default export via import()', async () =>
+   {
+      const pluginData = await pluginManager.addAsync({ name: 'PluginTestESM', target: './test/fixture/PluginTestESM.mjs' });
+
+      assert.strictEqual(pluginData.plugin.type, 'import-path');
+      assert.strictEqual(pluginManager.invokeSync('test', [3, 2], 'PluginTestESM'), 5);
+   });
+
+   test('addAllAsync - loads mixed CommonJS / ES module local files', async () =>
+   {
+      const pluginsData = await pluginManager.addAllAsync([
+         { name: 'PluginTestCJS', target: './test/fixture/PluginTestCJS.js' },
+         { name: 'PluginTestESMNamed', target: './test/fixture/PluginTestESMNamed.mjs' }
+      ]);
+
+      assert.strictEqual(pluginsData[0].plugin.type, 'require-path');
+      assert.strictEqual(pluginsData[1].plugin.type, 'import-path');
+
+      const results = pluginManager.invokeSync('test', [3, 2]);
+
+      assert.strictEqual(results[0], 1);
+      assert.strictEqual(results[1], 6);
+   });
+
+   test('addAll - loads plugins in dependency order', () =>
+   {
+      const loaded = [];
+
+      pluginManager.addAll([
+         { name: 'C', instance: createLogPlugin('C', loaded, 'onPluginLoad'), dependencies: ['B'] },
+         { name: 'B', instance: createLogPlugin('B', loaded, 'onPluginLoad'), dependencies: ['A'] },
+         { name: 'A', instance: createLogPlugin('A', loaded, 'onPluginLoad') },
+         { name: 'D', instance: createLogPlugin('D', loaded, 'onPluginLoad') }
+      ]);
+
+      assert.deepEqual(loaded, ['A', 'D', 'B', 'C']);
+      assert.deepEqual(pluginManager.getPluginData('C').plugin.dependencies, ['B']);
+   });
+
+   test('addAllAsync - loads plugins in dependency order', async () =>
+   {
+      const loaded = [];
+
+      await pluginManager.addAllAsync([
+         { name: 'B', instance: createLogPlugin('B', loaded, 'onPluginLoad'), dependencies: ['A'] },
+         { name: 'A', instance: createLogPlugin('A', loaded, 'onPluginLoad') }
+      ]);
+
+      assert.deepEqual(loaded, ['A', 'B']);
+   });
+
+   test('addAll - throws on dependency cycle / missing dependency before loading', () =>
+   {
+      assert.throws(() => pluginManager.addAll([
+         { name: 'A', instance: {}, dependencies: ['B'] },
+         { name: 'B', instance: {}, dependencies: ['A'] }
+      ]), /cycle detected: A -> B -> A/);
+
+      assert.throws(() => pluginManager.addAll([
+         { name: 'A', instance: {} },
+         { name: 'B', instance: {}, dependencies: ['missing'] }
+      ]), /'B' is missing dependency: missing/);
+
+      assert.lengthOf(pluginManager.getPluginNames(), 0);
+
+      assert.throws(() => pluginManager.add({ name: 'B', instance: {}, dependencies: ['A'] }), /missing dependency/);
+   });
+
+   test('removeAll - unloads plugins in reverse dependency order', () =>
+   {
+      const unloaded = [];
+
+      pluginManager.addAll([
+         { name: 'A', instance: createLogPlugin('A', unloaded, 'onPluginUnload') },
+         { name: 'B', instance: createLogPlugin('B', unloaded, 'onPluginUnload') },
+         { name: 'C', instance: createLogPlugin('C', unloaded, 'onPluginUnload'), dependencies: ['B'] }
+      ]);
+
+      pluginManager.add({ name: 'D', instance: createLogPlugin('D', unloaded, 'onPluginUnload'), dependencies: ['A'] });
+
+      pluginManager.removeAll();
+
+      assert.deepEqual(unloaded, ['D', 'C', 'B', 'A']);
+   });
+
+   test('remove - refuses removal of a dependency unless cascadeRemove is enabled', async () =>
+   {
+      const unloaded = [];
+
+      pluginManager.addAll([
+         { name: 'A', instance: createLogPlugin('A', unloaded, 'onPluginUnload') },
+         { name: 'B', instance: createLogPlugin('B', unloaded, 'onPluginUnload'), dependencies: ['A'] },
+         { name: 'C', instance: createLogPlugin('C', unloaded, 'onPluginUnload'), dependencies: ['B'] }
+      ]);
+
+      assert.isFalse(pluginManager.remove('A'));
+      assert.isFalse(await pluginManager.removeAsync('A'));
+      assert.lengthOf(unloaded, 0);
+
+      pluginManager.setOptions({ cascadeRemove: true });
+
+      assert.isTrue(await pluginManager.removeAsync('A'));
+      assert.deepEqual(unloaded, ['C', 'B', 'A']);
+      assert.lengthOf(pluginManager.getPluginNames(), 0);
+   });
+
+   test('discover - adds plugin files and package directories', () =>
+   {
+      const pluginsData = pluginManager.discover('./test/fixture/discover');
+
+      assert.deepEqual(pluginsData.map((pluginData) => pluginData.plugin.name),
+       ['PluginDiscoverA', 'plugin-discover-package']);
+
+      assert.strictEqual(pluginsData[0].plugin.type, 'require-path');
+      assert.deepEqual(pluginManager.invokeSync('test'), ['PluginDiscoverA', 'plugin-discover-package']);
+   });
+
+   test('discoverAsync - recursively adds plugins', async () =>
+   {
+      const pluginsData = await pluginManager.discoverAsync('./test/fixture/discover', { recursive: true });
+
+      assert.deepEqual(pluginsData.map((pluginData) => pluginData.plugin.name),
+       ['PluginDiscoverA', 'PluginDiscoverB', 'plugin-discover-package']);
+   });
+
+   test('discover - throws when a plugin name is discovered more than once', async () =>
+   {
+      await withTempDir((dir) =>
+      {
+         fs.mkdirSync(path.join(dir, 'nested'));
+         fs.writeFileSync(path.join(dir, 'PluginDup.js'), `module.exports = {};`);
+         fs.writeFileSync(path.join(dir, 'nested', 'PluginDup.js'), `module.exports = {};`);
+
+         assert.throws(() => pluginManager.discover(dir, { recursive: true }), /'PluginDup' discovered more than once/);
+         assert.lengthOf(pluginManager.getPluginNames(), 0);
+      });
+   });
+
+   test('discover - throws with invalid parameters', () =>
+   {
+      assert.throws(() => pluginManager.discover(), TypeError);
+      assert.throws(() => pluginManager.discover('./test/fixture/discover', { pattern: '*.js' }), TypeError);
+   });
+
+   test('discoverModules - finds installed modules by keyword or name prefix', async () =>
+   {
+      await withTempDir((dir) =>
+      {
+         const cwd = path.join(dir, 'app');
+
+         const writePackage = (modulesDir, packageJSON, source = void 0) =>
+         {
+            const packageDir = path.join(modulesDir, 'node_modules', packageJSON.name);
+
+            fs.mkdirSync(packageDir, { recursive: true });
+            fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify(packageJSON));
+
+            if (typeof source === 'string') { fs.writeFileSync(path.join(packageDir, 'index.js'), source); }
+         };
+
+         const warnings = [];
+
+         pluginManager.getEventbus().on('log:warn', (message) => warnings.push(message));
+
+         writePackage(cwd, { name: 'myapp-plugin-a' });
+         writePackage(cwd, { name: 'other-module', keywords: ['myapp-plugin'] },
+          `module.exports = { test: () => 'other-module' };`);
+         writePackage(cwd, { name: '@scope/plugin', keywords: ['myapp-plugin'] });
+         writePackage(cwd, { name: 'unrelated', keywords: ['plugin'] });
+         writePackage(cwd, { name: 'shadowed' });
+
+         // Hoisted packages are installed in a parent directory.
+         writePackage(dir, { name: 'hoisted-plugin', keywords: ['myapp-plugin'] },
+          `module.exports = { test: () => 'hoisted-plugin' };`);
+         writePackage(dir, { name: 'shadowed', keywords: ['myapp-plugin'] });
+
+         fs.mkdirSync(path.join(cwd, 'node_modules', 'broken'));
+         fs.writeFileSync(path.join(cwd, 'node_modules', 'broken', 'package.json'), '{');
+
+         const configs = pluginManager.discoverModules({ keyword: 'myapp-plugin', cwd });
+
+         assert.deepEqual(configs, [{ name: '@scope/plugin', cwd }, { name: 'hoisted-plugin', cwd },
+          { name: 'other-module', cwd }]);
+
+         assert.lengthOf(warnings, 1);
+         assert.match(warnings[0], /broken/);
+
+         assert.deepEqual(pluginManager.discoverModules({ keyword: 'myapp-plugin', prefix: 'myapp-plugin-', cwd })
+          .map((config) => config.name), ['@scope/plugin', 'hoisted-plugin', 'myapp-plugin-a', 'other-module']);
+
+         assert.deepEqual(pluginManager.discoverModules({ prefix: 'myapp-', cwd: os.tmpdir() }), []);
+
+         assert.throws(() => pluginManager.discoverModules({ cwd }), TypeError);
+
+         // Discovered modules resolve from `cwd` and not from where PluginManager is installed.
+         const pluginsData = pluginManager.addAll(configs.slice(1));
+
+         assert.deepEqual(pluginsData.map((pluginData) => pluginData.plugin.type),
+          ['require-module', 'require-module']);
+         assert.deepEqual(pluginManager.invokeSync('test'), ['hoisted-plugin', 'other-module']);
+
+         assert.isTrue(pluginManager.reload('other-module'));
+         assert.deepEqual(pluginManager.invokeSync('test'), ['hoisted-plugin', 'other-module']);
+
+         assert.throws(() => pluginManager.add({ name: 'bad', cwd: 1 }), TypeError);
+         assert.isFalse(pluginManager.isValidConfig({ name: 'bad', cwd: 1 }));
+      });
+   });
+
+   test('reload - reloads require-path plugin preserving state and position', async () =>
+   {
+      await withTempDir((dir) =>
+      {
+         const target = path.join(dir, 'PluginReload.js');
+         const helper = path.join(dir, 'helper.js');
+
+         fs.writeFileSync(helper, `module.exports = 1;`);
+         fs.writeFileSync(target, `module.exports = { test: () => require('./helper.js'), onPluginUnload: () => {} };`);
+
+         pluginManager.add({ name: 'PluginReload', target, options: { a: 1 } });
+         pluginManager.add({ name: 'PluginTestSync', instance: new PluginTestSync() });
+
+         assert.strictEqual(pluginManager.invokeSync('test', [], 'PluginReload'), 1);
+
+         pluginManager.setPluginEnabled('PluginReload', false);
+
+         rewriteModule(helper, `module.exports = 2;`);
+
+         assert.isTrue(pluginManager.reload('PluginReload'));
+         assert.isFalse(pluginManager.reload('nonexistent'));
+
+         assert.isFalse(pluginManager.getPluginEnabled('PluginReload'));
+         assert.deepEqual(pluginManager.getPluginOptions('PluginReload'), { a: 1 });
+         assert.deepEqual(pluginManager.getPluginNames(), ['PluginReload', 'PluginTestSync']);
+
+         pluginManager.setPluginEnabled('PluginReload', true);
+
+         assert.strictEqual(pluginManager.invokeSync('test', [], 'PluginReload'), 2);
+      });
+   });
+
+   test('reloadAsync - reloads import-path plugin', async () =>
+   {
+      await withTempDir(async (dir) =>
+      {
+         const target = path.join(dir, 'PluginReload.mjs');
+
+         fs.writeFileSync(target, `export default { test: () => 1 };`);
+
+         await pluginManager.addAsync({ name: 'PluginReload', target });
+
+         assert.throws(() => pluginManager.reload('PluginReload'), /reloadAsync/);
+
+         fs.writeFileSync(target, `export default { test: () => 2 };`);
+
+         assert.isTrue(await pluginManager.reloadAsync('PluginReload'));
+         assert.strictEqual(pluginManager.invokeSync('test', [], 'PluginReload'), 2);
+      });
+   });
+
+   test('reload - invokes lifecycle methods on instance plugins', () =>
+   {
+      const calls = [];
+
+      pluginManager.add({ name: 'PluginLifecycle', instance:
+      {
+         onPluginLoad: (ev) => calls.push(`load:${ev.pluginName}`),
+         onPluginUnload: (ev) => calls.push(`unload:${ev.pluginName}`)
+      } });
+
+      pluginManager.reload('PluginLifecycle');
+
+      assert.deepEqual(calls, ['load:PluginLifecycle', 'unload:PluginLifecycle', 'load:PluginLifecycle']);
+   });
+
+   test('watch - reloads require-path plugin when a local child module changes', async () =>
+   {
+      await withTempDir(async (dir) =>
+      {
+         const target = path.join(dir, 'PluginWatch.js');
+         const helper = path.join(dir, 'helper.js');
+
+         fs.writeFileSync(helper, `module.exports = 1;`);
+         fs.writeFileSync(target, `const value = require('./helper.js'); module.exports = { test: () => value };`);
+
+         pluginManager.setOptions({ watchDebounce: 10 });
+         pluginManager.add({ name: 'PluginWatch', target });
+         pluginManager.watch();
+
+         const reloaded = new Promise((resolve) =>
+         {
+            pluginManager.getEventbus().on('typhonjs:plugin:manager:plugin:reloaded', resolve);
+         });
+
+         rewriteModule(helper, `module.exports = 2;`);
+
+         const pluginData = await reloaded;
+
+         assert.strictEqual(pluginData.plugin.name, 'PluginWatch');
+         assert.strictEqual(pluginManager.invokeSync('test', [], 'PluginWatch'), 2);
+
+         pluginManager.unwatch();
+
+         assert.isFalse(pluginManager.getOptions().watch);
+      });
+   });
+
+   test('watch - file watcher errors are posted to log:warn and the plugin is watched again', async () =>
+   {
+      await withTempDir(async (dir) =>
+      {
+         const target = path.join(dir, 'PluginWatch.js');
+         const warnings = [];
+
+         fs.writeFileSync(target, `module.exports = { test: () => 1 };`);
+
+         pluginManager.setOptions({ watchDebounce: 10 });
+         pluginManager.add({ name: 'PluginWatch', target });
+         pluginManager.watch();
+
+         pluginManager.getEventbus().on('log:warn', (message) => warnings.push(message));
+
+         const reloaded = new Promise((resolve) =>
+         {
+            pluginManager.getEventbus().on('typhonjs:plugin:manager:plugin:reloaded', resolve);
+         });
+
+         const [watcher] = pluginManager._watchers.get('PluginWatch').watchers;
+
+         watcher.emit('error', new Error('EPERM'));
+
+         await reloaded;
+
+         assert.deepEqual(warnings, [`Plugin 'PluginWatch' file watcher failed: EPERM`]);
+         assert.notStrictEqual(pluginManager._watchers.get('PluginWatch').watchers[0], watcher);
+
+         pluginManager.unwatch();
+      });
+   });
+
+   test('add - construct mode instantiates class with options and EventProxy', () =>
+   {
+      /**
+       * Stores constructor arguments.
+       */
+      class PluginConstruct
+      {
+         /**
+          * Stores constructor arguments.
+          * @param {object}      options - Plugin options.
+          * @param {EventProxy}  eventbus - Plugin EventProxy.
+          */
+         constructor(options, eventbus)
+         {
+            this.options = options;
+            this.eventbus = eventbus;
+         }
+
+         /**
+          * Returns option value.
+          * @returns {number}
+          */
+         test() { return this.options.value; }
+      }
+
+      pluginManager.add({ name: 'PluginConstruct', instance: PluginConstruct, construct: true, options: { value: 5 } });
+
+      assert.strictEqual(pluginManager.invokeSync('test', [], 'PluginConstruct'), 5);
+      assert.throws(() => pluginManager.add({ name: 'bad', instance: {}, construct: true }), TypeError);
+      assert.throws(() => pluginManager.add({ name: 'bad', instance: {}, construct: true, factory: true }), TypeError);
+      assert.isFalse(pluginManager.isValidConfig({ name: 'bad', factory: 'yes' }));
+   });
+
+   test('add - factory mode registers events on plugin EventProxy', () =>
+   {
+      const factory = (options, eventbus) =>
+      {
+         eventbus.on('test:factory', () => options.value);
+
+         return { test: () => options.value };
+      };
+
+      pluginManager.add({ name: 'PluginFactory', instance: factory, factory: true, options: { value: 7 } });
+
+      assert.strictEqual(pluginManager.getEventbus().triggerSync('test:factory'), 7);
+      assert.deepEqual(pluginManager.getPluginEventNames('PluginFactory'), ['test:factory']);
+
+      pluginManager.remove('PluginFactory');
+
+      assert.isUndefined(pluginManager.getEventbus().triggerSync('test:factory'));
+
+      assert.throws(() => pluginManager.add({ name: 'PluginAsyncFactory', instance: async () => ({}), factory: true }),
+       /addAsync/);
+   });
+
+   test('addAsync - factory mode awaits asynchronous factories', async () =>
+   {
+      const factory = async (options) => ({ test: () => options.value });
+
+      await pluginManager.addAsync({ name: 'PluginAsyncFactory', instance: factory, factory: true, options: { value: 3 } });
+
+      assert.strictEqual(pluginManager.invokeSync('test', [], 'PluginAsyncFactory'), 3);
+   });
+
+   test('invoke - plugins are dispatched by descending priority', async () =>
+   {
+      const calls = [];
+
+      pluginManager.add({ name: 'PluginLow', instance: createLogPlugin('PluginLow', calls), priority: -1 });
+      pluginManager.add({ name: 'PluginDefault', instance: createLogPlugin('PluginDefault', calls) });
+      pluginManager.add({ name: 'PluginHigh', instance: createLogPlugin('PluginHigh', calls), priority: 10 });
+      pluginManager.add({ name: 'PluginDefault2', instance: createLogPlugin('PluginDefault2', calls) });
+
+      assert.deepEqual(pluginManager.invokeSync('test'), ['PluginHigh', 'PluginDefault', 'PluginDefault2', 'PluginLow']);
+      assert.deepEqual(await pluginManager.invokeAsync('test'),
+       ['PluginHigh', 'PluginDefault', 'PluginDefault2', 'PluginLow']);
+
+      calls.length = 0;
+      pluginManager.invokeSyncEvent('test');
+      assert.deepEqual(calls, ['PluginHigh', 'PluginDefault', 'PluginDefault2', 'PluginLow']);
+
+      calls.length = 0;
+      pluginManager.invoke('test', void 0, ['PluginLow', 'PluginHigh']);
+      assert.deepEqual(calls, ['PluginHigh', 'PluginLow']);
+
+      assert.isTrue(pluginManager.setPluginPriority('PluginLow', 20));
+      assert.strictEqual(pluginManager.getPluginPriority('PluginLow'), 20);
+      assert.strictEqual(pluginManager.getPluginData('PluginLow').plugin.priority, 20);
+      assert.isFalse(pluginManager.setPluginPriority('nonexistent', 1));
+      assert.isUndefined(pluginManager.getPluginPriority('nonexistent'));
+
+      calls.length = 0;
+      const event = await pluginManager.invokeAsyncEvent('test');
+      assert.deepEqual(calls, ['PluginLow', 'PluginHigh', 'PluginDefault', 'PluginDefault2']);
+      assert.deepEqual(event.$$plugin_invoke_names, ['PluginLow', 'PluginHigh', 'PluginDefault', 'PluginDefault2']);
+
+      assert.throws(() => pluginManager.add({ name: 'bad', instance: {}, priority: '1' }), TypeError);
+      assert.throws(() => pluginManager.setPluginPriority('PluginLow', NaN), TypeError);
+      assert.isFalse(pluginManager.isValidConfig({ name: 'bad', priority: Infinity }));
+   });
+
+   test('invoke - plugins disabled or removed by an earlier plugin in the same dispatch are skipped', async () =>
+   {
+      const calls = [];
+
+      pluginManager.add({
+         name: 'PluginFirst',
+         priority: 10,
+         instance: {
+            test: (action) =>
+            {
+               calls.push('PluginFirst');
+
+               if (action === 'disable') { pluginManager.setPluginEnabled('PluginSecond', false); }
+               else { pluginManager.remove('PluginSecond'); }
+            }
+         }
+      });
+
+      const addSecond = () =>
+       pluginManager.add({ name: 'PluginSecond', instance: { test: () => calls.push('PluginSecond') } });
+
+      addSecond();
+
+      pluginManager.invokeSync('test', 'disable');
+      assert.deepEqual(calls, ['PluginFirst']);
+
+      calls.length = 0;
+      pluginManager.setPluginEnabled('PluginSecond', true);
+      await pluginManager.invokeAsyncSeries('test', 'remove');
+      assert.deepEqual(calls, ['PluginFirst']);
+
+      calls.length = 0;
+      addSecond();
+      const event = pluginManager.invokeSyncEvent('test');
+      assert.deepEqual(calls, ['PluginFirst']);
+      assert.deepEqual(event.$$plugin_invoke_names, ['PluginFirst']);
+
+      calls.length = 0;
+      addSecond();
+      await pluginManager.invokeAsync('test', 'disable', void 0, { concurrency: 1 });
+      assert.deepEqual(calls, ['PluginFirst']);
+   });
+
+   test('invoke - methodPriorities overrides plugin priority per method', () =>
+   {
+      const eventbus = pluginManager.getEventbus();
+
+      pluginManager.add({ name: 'PluginA', instance: { first: () => 'A', second: () => 'A' }, priority: 5 });
+      pluginManager.add({ name: 'PluginB', instance: { first: () => 'B', second: () => 'B', methodPriorities: { second: 10 } } });
+
+      assert.deepEqual(pluginManager.invokeSync('first'), ['A', 'B']);
+      assert.deepEqual(pluginManager.invokeSync('second'), ['B', 'A']);
+
+      eventbus.triggerSync('plugins:set:plugin:priority', 'PluginA', 20);
+      assert.strictEqual(eventbus.triggerSync('plugins:get:plugin:priority', 'PluginA'), 20);
+      assert.deepEqual(pluginManager.invokeSync('second'), ['A', 'B']);
+
+      pluginManager.reload('PluginA');
+      assert.strictEqual(pluginManager.getPluginPriority('PluginA'), 20);
+      assert.strictEqual(pluginManager.getPluginData('PluginA').plugin.priority, 20);
+   });
+
+   test('invokeAsyncSeries - awaits each plugin before invoking the next', async () =>
+   {
+      const calls = [];
+
+      pluginManager.add({ name: 'PluginSlow', instance: createLogPlugin('PluginSlow', calls, 'test', 50) });
+      pluginManager.add({ name: 'PluginFast', instance: createLogPlugin('PluginFast', calls, 'test', 0) });
+
+      assert.deepEqual(await pluginManager.invokeAsyncSeries('test'), ['PluginSlow', 'PluginFast']);
+      assert.deepEqual(calls, ['PluginSlow', 'PluginFast']);
+
+      assert.strictEqual(await pluginManager.getEventbus().triggerAsync('plugins:async:invoke:series', 'test', void 0,
+       'PluginFast'), 'PluginFast');
+
+      calls.length = 0;
+      await pluginManager.invokeAsync('test');
+      assert.deepEqual(calls, ['PluginFast', 'PluginSlow']);
+   });
+
+   test('invokeAsyncEventSeries - each plugin observes preceding event modifications', async () =>
+   {
+      pluginManager.add({
+         name: 'PluginFirst',
+         instance: { test: (ev) => delay(50, () => { ev.data.steps.push('first'); }) }
+      });
+
+      pluginManager.add({
+         name: 'PluginSecond',
+         instance: { test: (ev) => { ev.data.steps.push(`second:${ev.data.steps.length}`); } }
+      });
+
+      const data = await pluginManager.invokeAsyncEventSeries('test', { steps: [] });
+
+      assert.deepEqual(data.steps, ['first', 'second:1']);
+      assert.strictEqual(data.$$plugin_invoke_count, 2);
+
+      const parallel = await pluginManager.invokeAsyncEvent('test', { steps: [] });
+
+      assert.deepEqual(parallel.steps, ['second:0', 'first']);
+
+      const viaEventbus = await pluginManager.getEventbus().triggerAsync('plugins:async:invoke:event:series', 'test',
+       { steps: [] });
+
+      assert.deepEqual(viaEventbus.steps, ['first', 'second:1']);
+   });
+
+   test('invokeWaterfall - threads a value through each plugin', async () =>
+   {
+      pluginManager.add({ name: 'PluginParse', instance: { transform: (value) => value.split(',') } });
+      pluginManager.add({ name: 'PluginNoop', instance: { transform: () => void 0 } });
+      pluginManager.add({ name: 'PluginJoin', instance: { transform: (value) => value.join('|') } });
+
+      assert.strictEqual(pluginManager.invokeWaterfall('transform', 'a,b,c'), 'a|b|c');
+      assert.deepEqual(pluginManager.invokeWaterfall('transform', 'a,b', ['PluginParse', 'PluginNoop']), ['a', 'b']);
+      assert.strictEqual(pluginManager.invokeWaterfall('nonexistent', 'a'), 'a');
+      assert.strictEqual(pluginManager.getEventbus().triggerSync('plugins:sync:invoke:waterfall', 'transform', 'x,y'),
+       'x|y');
+
+      pluginManager.add({
+         name: 'PluginAsync',
+         instance: { transform: (value) => delay(10, () => `${value}!`) }
+      });
+
+      assert.strictEqual(await pluginManager.invokeAsyncWaterfall('transform', 'a,b'), 'a|b!');
+      assert.strictEqual(await pluginManager.getEventbus().triggerAsync('plugins:async:invoke:waterfall', 'transform',
+       'c', 'PluginAsync'), 'c!');
+
+      pluginManager.setOptions({ throwNoMethod: true });
+
+      assert.throws(() => pluginManager.invokeWaterfall('nonexistent', 'a'), Error);
+   });
+
+   test('invokeFirst - stops at the first plugin returning a result', async () =>
+   {
+      const calls = [];
+
+      const createPlugin = (name, ext) => ({
+         resolve: (value) =>
+         {
+            calls.push(name);
+            return value.endsWith(ext) ? name : void 0;
+         }
+      });
+
+      pluginManager.add({ name: 'PluginJS', instance: createPlugin('PluginJS', '.js') });
+      pluginManager.add({ name: 'PluginMD', instance: createPlugin('PluginMD', '.md') });
+      pluginManager.add({ name: 'PluginAny', instance: createPlugin('PluginAny', '') });
+
+      assert.deepEqual(pluginManager.invokeFirst('resolve', 'a.md'), { pluginName: 'PluginMD', result: 'PluginMD' });
+      assert.deepEqual(calls, ['PluginJS', 'PluginMD']);
+
+      assert.isUndefined(pluginManager.invokeFirst('resolve', 'a.md', 'PluginJS'));
+      assert.isUndefined(pluginManager.invokeFirst('nonexistent'));
+
+      calls.length = 0;
+      assert.deepEqual(await pluginManager.invokeFirstAsync('resolve', 'a.js'), { pluginName: 'PluginJS', result: 'PluginJS' });
+      assert.deepEqual(calls, ['PluginJS']);
+
+      assert.deepEqual(await pluginManager.getEventbus().triggerAsync('plugins:async:invoke:first', 'resolve', 'a.txt'),
+       { pluginName: 'PluginAny', result: 'PluginAny' });
+
+      assert.deepEqual(pluginManager.getEventbus().triggerSync('plugins:sync:invoke:first', 'resolve', 'a.js'),
+       { pluginName: 'PluginJS', result: 'PluginJS' });
+   });
+
+   test('invokeSync - undefined and null results are not collected', async () =>
+   {
+      pluginManager.add({ name: 'PluginUndefined', instance: { test: () => void 0 } });
+      pluginManager.add({ name: 'PluginValue', instance: { test: () => 1 } });
+      pluginManager.add({ name: 'PluginNull', instance: { test: () => null } });
+
+      assert.strictEqual(pluginManager.invokeSync('test'), 1);
+      assert.strictEqual(await pluginManager.invokeAsyncSeries('test'), 1);
+
+      pluginManager.add({ name: 'PluginValue2', instance: { test: () => 2 } });
+
+      assert.deepEqual(pluginManager.invokeSync('test'), [1, 2]);
+   });
+
+   test('errorPolicy - throw aborts dispatch while collect and log continue', async () =>
+   {
+      const calls = [];
+      const errorEvents = [];
+      const warnings = [];
+
+      const eventbus = pluginManager.getEventbus();
+
+      eventbus.on('typhonjs:plugin:manager:invoke:error', (data) => errorEvents.push(data));
+      eventbus.on('log:warn', (message) => warnings.push(message));
+
+      pluginManager.add({ name: 'PluginBad', instance: { test: () => { calls.push('PluginBad'); throw new Error('bad'); } } });
+      pluginManager.add({ name: 'PluginGood', instance: { test: () => { calls.push('PluginGood'); return 1; } } });
+
+      assert.throws(() => pluginManager.invokeSync('test'), /bad/);
+      assert.deepEqual(calls, ['PluginBad']);
+      assert.strictEqual(errorEvents.length, 1);
+      assert.strictEqual(errorEvents[0].pluginName, 'PluginBad');
+      assert.strictEqual(errorEvents[0].methodName, 'test');
+
+      calls.length = 0;
+
+      const error = await getError(() => pluginManager.invokeSync('test', void 0, void 0, { errorPolicy: 'collect' }));
+
+      assert.instanceOf(error, PluginInvokeError);
+      assert.instanceOf(error, PluginManager.PluginInvokeError);
+      assert.instanceOf(error, PluginManager.PluginError);
+      assert.instanceOf(error, Error);
+      assert.strictEqual(error.name, 'PluginInvokeError');
+      assert.match(error.stack, /^PluginInvokeError: /);
+      assert.strictEqual(error.methodName, 'test');
+      assert.isArray(error.errors);
+      assert.deepEqual(error.errors.map((err) => err.message), ['bad']);
+      assert.instanceOf(error.pluginErrors, Map);
+      assert.strictEqual(error.pluginErrors.get('PluginBad'), error.errors[0]);
+      assert.strictEqual(error.result, 1);
+
+      assert.deepEqual(calls, ['PluginBad', 'PluginGood']);
+
+      pluginManager.setOptions({ errorPolicy: 'log' });
+
+      assert.strictEqual(pluginManager.invokeSync('test'), 1);
+      assert.strictEqual(pluginManager.invokeSyncEvent('test').$$plugin_invoke_count, 2);
+      assert.strictEqual(warnings.length, 2);
+      assert.match(warnings[0], /PluginBad/);
+
+      assert.throws(() => pluginManager.invokeSync('test', void 0, void 0, { errorPolicy: 'bogus' }), TypeError);
+   });
+
+   test('errorPolicy - collect reports asynchronous rejections', async () =>
+   {
+      pluginManager.add({ name: 'PluginReject', instance: { test: () => Promise.reject(new Error('rejected')) } });
+      pluginManager.add({ name: 'PluginGood', instance: { test: (ev) => { if (ev) { ev.data.good = true; } return 1; } } });
+
+      let error = await getError(() => pluginManager.invokeAsync('test', void 0, void 0, { errorPolicy: 'collect' }));
+
+      assert.strictEqual(error.name, 'PluginInvokeError');
+      assert.strictEqual(error.pluginErrors.get('PluginReject').message, 'rejected');
+
+      pluginManager.setOptions({ errorPolicy: 'collect' });
+
+      error = await getError(() => pluginManager.invokeAsyncEvent('test'));
+
+      assert.deepEqual(Array.from(error.pluginErrors.keys()), ['PluginReject']);
+      assert.isTrue(error.result.good);
+
+      const result = await pluginManager.invokeAsyncWaterfall('test', 0, void 0, { errorPolicy: 'log' });
+
+      assert.strictEqual(result, 1);
+   });
+
+   test('errorPolicy - synchronous dispatch passes returned Promises through untouched', async () =>
+   {
+      const rejected = Promise.reject(new Error('boom'));
+
+      pluginManager.add({ name: 'PluginReject', instance: { test: () => rejected } });
+
+      const result = pluginManager.invokeSync('test', void 0, void 0, { errorPolicy: 'collect' });
+
+      assert.strictEqual(result, rejected);
+
+      assert.strictEqual((await getError(() => result)).message, 'boom');
+   });
+
+   test('asyncTimeout - plugins that do not settle are rejected with PluginTimeoutError', async () =>
+   {
+      const never = () => new Promise(() => {});
+
+      pluginManager.add({ name: 'PluginHang', instance: { test: never } });
+      pluginManager.add({ name: 'PluginGood', instance: { test: () => Promise.resolve(1) } });
+
+      const error = await getError(() => pluginManager.invokeAsync('test', void 0, void 0, { asyncTimeout: 20 }));
+
+      assert.instanceOf(error, PluginTimeoutError);
+      assert.instanceOf(error, PluginManager.PluginTimeoutError);
+      assert.strictEqual(error.name, 'PluginTimeoutError');
+      assert.strictEqual(error.pluginName, 'PluginHang');
+      assert.strictEqual(error.methodName, 'test');
+      assert.match(error.message, /PluginHang.*'test'/);
+
+      pluginManager.setOptions({ asyncTimeout: 20, errorPolicy: 'log' });
+
+      assert.strictEqual(await pluginManager.invokeAsyncSeries('test'), 1);
+      assert.strictEqual((await pluginManager.invokeAsyncEvent('test')).$$plugin_invoke_count, 2);
+
+      assert.throws(() => pluginManager.invokeAsync('test', void 0, void 0, { asyncTimeout: -1 }), TypeError);
+      assert.throws(() => pluginManager.setOptions({ asyncTimeout: -1 }), TypeError);
+      assert.throws(() => pluginManager.setOptions({ asyncTimeout: NaN }), TypeError);
+      assert.strictEqual(pluginManager.getOptions().asyncTimeout, 20);
+   });
+
+   test('asyncTimeout - protects onPluginLoad / onPluginUnload in addAsync / removeAsync', async () =>
+   {
+      pluginManager.setOptions({ asyncTimeout: 20 });
+
+      const added = [];
+
+      pluginManager.getEventbus().on('typhonjs:plugin:manager:plugin:added', (pluginData) =>
+       added.push(pluginData.plugin.name));
+
+      const instance = { onPluginLoad: () => new Promise(() => {}) };
+
+      let error = await getError(() => pluginManager.addAsync({ name: 'PluginHangLoad', instance }));
+
+      assert.strictEqual(error.name, 'PluginTimeoutError');
+      assert.strictEqual(error.methodName, 'onPluginLoad');
+
+      assert.isFalse(pluginManager.hasPlugin('PluginHangLoad'), 'plugin timing out on load is not added');
+      assert.deepEqual(added, []);
+
+      await pluginManager.addAsync({ name: 'PluginHangUnload', instance: { onPluginUnload: () => new Promise(() => {}) } });
+
+      error = await getError(() => pluginManager.removeAsync('PluginHangUnload'));
+
+      assert.strictEqual(error.name, 'PluginTimeoutError');
+      assert.strictEqual(error.pluginName, 'PluginHangUnload');
+
+      assert.isFalse(pluginManager.hasPlugin('PluginHangUnload'), 'plugin timing out on unload is removed');
+      assert.deepEqual(pluginManager.getPluginNames(), []);
+   });
+
+   test('signal - aborting stops dispatch and rejects with AbortError', async () =>
+   {
+      const controller = new global.AbortController();
+      const calls = [];
+
+      pluginManager.add({
+         name: 'PluginAbort',
+         instance: {
+            test: (ev) =>
+            {
+               calls.push('PluginAbort');
+               assert.strictEqual(ev.signal, controller.signal);
+               controller.abort();
+            }
+         }
+      });
+
+      pluginManager.add({ name: 'PluginNext', instance: { test: () => calls.push('PluginNext') } });
+
+      const options = { signal: controller.signal };
+
+      let error = await getError(() => pluginManager.invokeAsyncEventSeries('test', {}, {}, void 0, options));
+
+      assert.strictEqual(error.name, 'AbortError');
+      assert.deepEqual(calls, ['PluginAbort']);
+
+      error = await getError(() => pluginManager.invokeAsync('test', void 0, void 0, options));
+
+      assert.strictEqual(error.name, 'AbortError');
+
+      assert.throws(() => pluginManager.invokeAsync('test', void 0, void 0, { signal: {} }), TypeError);
+   });
+
+   test('signal - aborting rejects a pending invokeAsyncEvent', async () =>
+   {
+      const controller = new global.AbortController();
+
+      pluginManager.add({
+         name: 'PluginSlow',
+         instance: { test: (ev) => new Promise((resolve) => ev.signal.addEventListener('abort', resolve)) }
+      });
+
+      const pending = pluginManager.invokeAsyncEvent('test', {}, {}, void 0, { signal: controller.signal });
+
+      setTimeout(() => controller.abort(), 10);
+
+      assert.strictEqual((await getError(() => pending)).name, 'AbortError');
+   });
+
+   test('signal - plugin Promises no longer awaited after aborting do not raise unhandled rejections', async () =>
+   {
+      const unhandled = [];
+      const onUnhandled = (reason) => unhandled.push(reason);
+
+      process.on('unhandledRejection', onUnhandled);
+
+      try
+      {
+         let controller;
+
+         pluginManager.add({ name: 'PluginReject', instance: { test: () => delay(10).then(() => Promise.reject(
+          new Error('late'))) } });
+         pluginManager.add({ name: 'PluginAbort', instance: { test: () => controller.abort() } });
+         pluginManager.add({ name: 'PluginNext', instance: { test: () => 1 } });
+
+         controller = new global.AbortController();
+
+         let error = await getError(() => pluginManager.invokeAsync('test', void 0, void 0,
+          { signal: controller.signal }));
+
+         assert.strictEqual(error.name, 'AbortError');
+
+         controller = new global.AbortController();
+
+         error = await getError(() => pluginManager.invokeAsyncEvent('test', {}, {}, void 0,
+          { signal: controller.signal }));
+
+         assert.strictEqual(error.name, 'AbortError');
+
+         await delay(30);
+
+         assert.deepEqual(unhandled, []);
+      }
+      finally
+      {
+         process.removeListener('unhandledRejection', onUnhandled);
+      }
+   });
+
+   test('signal - invokeAsyncIterator rejects next() with dispatch errors', async () =>
+   {
+      const controller = new global.AbortController();
+
+      pluginManager.add({ name: 'PluginTest', instance: { test: () => 1 } });
+
+      controller.abort();
+
+      const iterator = pluginManager.invokeAsyncIterator('test', void 0, void 0, { signal: controller.signal });
+
+      assert.strictEqual((await getError(() => iterator.next())).name, 'AbortError');
+      assert.deepEqual(await iterator.next(), { value: void 0, done: true });
+
+      const noMethod = pluginManager.invokeAsyncIterator('unknown', void 0, void 0, { throwNoMethod: true });
+
+      assert.match((await getError(() => noMethod.next())).message, /failed to invoke 'unknown'/);
+   });
+
+   test('signal - addAllAsync stops adding remaining dependency levels', async () =>
+   {
+      const controller = new global.AbortController();
+
+      const configs = [
+         { name: 'PluginBase', instance: { onPluginLoad: () => controller.abort() } },
+         { name: 'PluginDependent', instance: {}, dependencies: ['PluginBase'] }
+      ];
+
+      const error = await getError(() => pluginManager.addAllAsync(configs, void 0, { signal: controller.signal }));
+
+      assert.strictEqual(error.name, 'AbortError');
+
+      assert.isTrue(pluginManager.hasPlugin('PluginBase'));
+      assert.isFalse(pluginManager.hasPlugin('PluginDependent'));
+   });
+
+   test('use - middleware wraps plugin invocations', async () =>
+   {
+      const log = [];
+
+      pluginManager.add({ name: 'PluginAdd', instance: { test: (a, b) => a + b } });
+      pluginManager.add({ name: 'PluginMul', instance: { test: (a, b) => a * b } });
+
+      assert.strictEqual(pluginManager.use((context) =>
+      {
+         log.push(`${context.pluginName}:${context.methodName}`);
+         return context.next();
+      }), pluginManager);
+
+      pluginManager.use((context) =>
+      {
+         if (context.pluginName === 'PluginMul') { return 'cached'; }
+
+         context.args = context.args.map((value) => value * 10);
+
+         return context.next();
+      });
+
+      assert.deepEqual(pluginManager.invokeSync('test', [1, 2]), [30, 'cached']);
+      assert.deepEqual(log, ['PluginAdd:test', 'PluginMul:test']);
+
+      assert.deepEqual(await pluginManager.invokeAsync('test', [1, 2]), [30, 'cached']);
+
+      assert.throws(() => pluginManager.use({}), TypeError);
+   });
+
+   test('use - middleware receives the event for event dispatch and errors follow errorPolicy', async () =>
+   {
+      pluginManager.add({ name: 'PluginEvent', instance: { test: (ev) => { ev.data.value++; } } });
+
+      pluginManager.use(({ event, pluginName, next }) =>
+      {
+         assert.strictEqual(pluginName, 'PluginEvent');
+         event.data.value *= 10;
+         return next();
+      });
+
+      assert.strictEqual(pluginManager.invokeSyncEvent('test', { value: 1 }).value, 11);
+      assert.strictEqual((await pluginManager.invokeAsyncEvent('test', { value: 2 })).value, 21);
+
+      pluginManager.use(() => { throw new Error('middleware'); });
+
+      assert.throws(() => pluginManager.invokeSyncEvent('test', { value: 1 }), /middleware/);
+      assert.strictEqual(pluginManager.invokeSyncEvent('test', { value: 1 }, {}, void 0, { errorPolicy: 'log' }).value,
+       10);
+
+      // Lifecycle methods bypass middleware.
+      await pluginManager.removeAsync('PluginEvent');
+   });
+
+   test('invokeHooks - onBeforeInvoke / onAfterInvoke observe plugin invocations', async () =>
+   {
+      const hooks = [];
+
+      pluginManager.add({
+         name: 'PluginObserver',
+         instance: {
+            onBeforeInvoke: (ev) => hooks.push(`before:${ev.data.targetPlugin}:${ev.data.methodName}:${ev.data.args}`),
+            onAfterInvoke: (ev) => hooks.push(ev.data.error ? `error:${ev.data.error.message}` : `after:${ev.data.result}`)
+         }
+      });
+
+      pluginManager.add({ name: 'PluginTest', instance: { test: (value) => value * 2 } });
+      pluginManager.add({ name: 'PluginAsync', instance: { test: (value) => Promise.resolve(value * 3) } });
+      pluginManager.add({ name: 'PluginBad', instance: { test: () => { throw new Error('bad'); } } });
+
+      pluginManager.invokeSync('test', 1, ['PluginTest']);
+      assert.deepEqual(hooks, [], 'hooks are disabled by default');
+
+      pluginManager.setOptions({ invokeHooks: true });
+
+      assert.strictEqual(pluginManager.invokeSync('test', 1, ['PluginTest']), 2);
+      assert.deepEqual(hooks, ['before:PluginTest:test:1', 'after:2']);
+
+      hooks.length = 0;
+      assert.strictEqual(await pluginManager.invokeAsync('test', 2, ['PluginAsync']), 6);
+      assert.deepEqual(hooks, ['before:PluginAsync:test:2', 'after:6']);
+
+      hooks.length = 0;
+      assert.throws(() => pluginManager.invokeSync('test', 1, ['PluginBad']), /bad/);
+      assert.deepEqual(hooks, ['before:PluginBad:test:1', 'error:bad']);
+
+      hooks.length = 0;
+      await pluginManager.removeAsync('PluginTest');
+      assert.deepEqual(hooks, [], 'lifecycle methods do not dispatch hooks');
+   });
+
+   test('invokeHooks - asynchronous dispatch awaits onBeforeInvoke and hook errors follow errorPolicy', async () =>
+   {
+      const log = [];
+      let fail = false;
+
+      pluginManager.add({
+         name: 'PluginObserver',
+         instance: {
+            onBeforeInvoke: async (ev) =>
+            {
+               await delay(10);
+
+               if (fail) { throw new Error('hook'); }
+
+               log.push(`before:${ev.data.targetPlugin}`);
+            }
+         }
+      });
+
+      pluginManager.add({ name: 'PluginTest', instance: { test: () => { log.push('test'); return 1; } } });
+      pluginManager.add({ name: 'PluginVoid', instance: { test: () => void 0 } });
+
+      pluginManager.setOptions({ invokeHooks: true });
+
+      assert.strictEqual(await pluginManager.invokeAsync('test'), 1, 'invalid results are filtered');
+      assert.deepEqual(log, ['before:PluginTest', 'test', 'before:PluginVoid']);
+
+      fail = true;
+      log.length = 0;
+
+      const error = await getError(() => pluginManager.invokeAsync('test', void 0, void 0, { errorPolicy: 'collect' }));
+
+      assert.instanceOf(error, PluginInvokeError);
+      assert.deepEqual(Array.from(error.pluginErrors.keys()), ['PluginTest', 'PluginVoid']);
+      assert.strictEqual(error.pluginErrors.get('PluginTest').message, 'hook');
+
+      assert.deepEqual(log, [], 'plugin methods are not invoked when onBeforeInvoke fails');
+   });
+
+   test('metrics - records call count, duration, and errors per plugin method', async () =>
+   {
+      pluginManager.add({ name: 'PluginTest', instance: { test: (value) => value * 2 } });
+      pluginManager.add({ name: 'PluginAsync', instance: { test: (value) => Promise.resolve(value * 3) } });
+      pluginManager.add({ name: 'PluginBad', instance: { test: () => Promise.reject(new Error('bad')) } });
+
+      pluginManager.invokeSync('test', 1, ['PluginTest']);
+      assert.deepEqual(pluginManager.getMetrics(), {}, 'metrics are disabled by default');
+
+      pluginManager.setOptions({ metrics: true });
+
+      pluginManager.invokeSync('test', 1, ['PluginTest']);
+      pluginManager.invokeSync('test', 2, ['PluginTest']);
+      await pluginManager.invokeAsync('test', 2, ['PluginAsync']);
+      await pluginManager.invokeAsync('test', 2, ['PluginBad'], { errorPolicy: 'collect' }).catch(() => void 0);
+
+      const metrics = pluginManager.getEventbus().triggerSync('plugins:get:metrics');
+
+      assert.deepEqual(Object.keys(metrics), ['PluginTest', 'PluginAsync', 'PluginBad']);
+      assert.strictEqual(metrics.PluginTest.test.count, 2);
+      assert.strictEqual(metrics.PluginTest.test.errorCount, 0);
+      assert.isAtLeast(metrics.PluginTest.test.totalMs, metrics.PluginTest.test.maxMs);
+      assert.strictEqual(metrics.PluginAsync.test.count, 1);
+      assert.strictEqual(metrics.PluginBad.test.count, 1);
+      assert.strictEqual(metrics.PluginBad.test.errorCount, 1);
+
+      metrics.PluginTest.test.count = 10;
+      assert.strictEqual(pluginManager.getMetrics().PluginTest.test.count, 2, 'getMetrics returns a copy');
+
+      await pluginManager.removeAsync('PluginTest');
+      assert.notProperty(pluginManager.getMetrics(), 'PluginTest', 'metrics of removed plugins are dropped');
+
+      pluginManager.remove('PluginAsync');
+      assert.deepEqual(Object.keys(pluginManager.getMetrics()), ['PluginBad'], 'lifecycle methods are not recorded');
+
+      pluginManager.resetMetrics();
+      assert.deepEqual(pluginManager.getMetrics(), {});
+   });
+
+   test('invokeSyncDetailed / invokeAsyncDetailed - return a record for each invoked plugin', async () =>
+   {
+      pluginManager.add({ name: 'PluginA', instance: { test: (value) => value * 2 } });
+      pluginManager.add({ name: 'PluginB', instance: { test: () => { throw new Error('bad'); } } });
+      pluginManager.add({ name: 'PluginC', instance: { test: () => void 0 } });
+
+      const results = pluginManager.invokeSyncDetailed('test', 2);
+
+      assert.deepEqual(results.map((entry) => entry.pluginName), ['PluginA', 'PluginB', 'PluginC']);
+      assert.strictEqual(results[0].result, 4);
+      assert.isUndefined(results[0].error);
+      assert.isNumber(results[0].durationMs);
+      assert.isUndefined(results[1].result);
+      assert.strictEqual(results[1].error.message, 'bad');
+      assert.isUndefined(results[2].result);
+
+      const single = pluginManager.getEventbus().triggerSync('plugins:sync:invoke:detailed', 'test', 3, 'PluginA');
+
+      assert.lengthOf(single, 1, 'a single result is still returned in an array');
+      assert.strictEqual(single[0].result, 6);
+
+      pluginManager.add({ name: 'PluginD', instance: { test: () => Promise.reject(new Error('rejected')) } });
+      pluginManager.add({ name: 'PluginE', instance: { test: (value) => Promise.resolve(value * 3) } });
+
+      const asyncResults = await pluginManager.invokeAsyncDetailed('test', 2, ['PluginD', 'PluginE', 'PluginA']);
+
+      assert.deepEqual(asyncResults.map((entry) => entry.pluginName), ['PluginD', 'PluginE', 'PluginA']);
+      assert.strictEqual(asyncResults[0].error.message, 'rejected');
+      assert.strictEqual(asyncResults[1].result, 6);
+      assert.strictEqual(asyncResults[2].result, 4);
+
+      assert.deepEqual(await pluginManager.invokeAsyncDetailed('unknown'), []);
+   });
+
+   test('selectors - dispatch by tags, name glob, and predicate', () =>
+   {
+      pluginManager.add({ name: 'lint-a', tags: ['formatter'], instance: { format: () => 'lint-a' } });
+      pluginManager.add({ name: 'lint-b', tags: ['formatter', 'experimental'], instance: { format: () => 'lint-b' } });
+      pluginManager.add({ name: 'other', instance: { format: () => 'other' } });
+
+      assert.throws(() => pluginManager.add({ name: 'bad', tags: 'formatter', instance: {} }), TypeError);
+      assert.isFalse(pluginManager.isValidConfig({ name: 'bad', tags: [1], target: 'bad' }));
+
+      assert.deepEqual(pluginManager.getPluginData('lint-b').plugin.tags, ['formatter', 'experimental']);
+
+      assert.deepEqual(pluginManager.invokeSync('format', void 0, { tags: 'formatter' }), ['lint-a', 'lint-b']);
+      assert.strictEqual(pluginManager.invokeSync('format', void 0, { tags: ['formatter', 'experimental'] }), 'lint-b');
+      assert.deepEqual(pluginManager.invokeSync('format', void 0, 'lint-*'), ['lint-a', 'lint-b']);
+      assert.strictEqual(pluginManager.invokeSync('format', void 0, 'oth?r'), 'other');
+      assert.strictEqual(pluginManager.invokeSync('format', void 0, (data) => data.plugin.tags.length === 0), 'other');
+
+      const ev = pluginManager.invokeSyncEvent('format', {}, {}, { tags: 'experimental' });
+
+      assert.deepEqual(ev.$$plugin_invoke_names, ['lint-b']);
+
+      assert.deepEqual(pluginManager.getPluginNames(void 0, 'lint-*'), ['lint-a', 'lint-b']);
+
+      pluginManager.setPluginEnabled('lint-a', false);
+
+      assert.deepEqual(pluginManager.getPluginNames(true, { tags: 'formatter' }), ['lint-b']);
+      assert.deepEqual(pluginManager.getPluginNames(false, ['lint-a', 'unknown']), ['lint-a']);
+
+      assert.throws(() => pluginManager.invokeSync('format', void 0, { name: 'lint-a' }), TypeError);
+   });
+
+   test('concurrency - limits plugin methods in flight returning results in dispatch order', async () =>
+   {
+      const tracker = new InFlightTracker();
+
+      const createPlugin = (value, ms) => ({
+         test: () => tracker.run(ms, () => value),
+         testEvent: (ev) => tracker.run(ms, () => { ev.data.names.push(value); })
+      });
+
+      pluginManager.add({ name: 'PluginA', instance: createPlugin('a', 30) });
+      pluginManager.add({ name: 'PluginB', instance: createPlugin('b', 5) });
+      pluginManager.add({ name: 'PluginC', instance: createPlugin('c', 20) });
+      pluginManager.add({ name: 'PluginD', instance: { test: () => void 0 } });
+      pluginManager.add({ name: 'PluginE', instance: createPlugin('e', 5) });
+
+      assert.deepEqual(await pluginManager.invokeAsync('test'), ['a', 'b', 'c', 'e']);
+      assert.strictEqual(tracker.maxActive, 4, 'unlimited by default');
+
+      tracker.maxActive = 0;
+      pluginManager.setOptions({ concurrency: 2 });
+
+      assert.deepEqual(await pluginManager.invokeAsync('test'), ['a', 'b', 'c', 'e']);
+      assert.strictEqual(tracker.maxActive, 2);
+
+      tracker.maxActive = 0;
+
+      const ev = await pluginManager.invokeAsyncEvent('testEvent', { names: [] }, {}, void 0, { concurrency: 1 });
+
+      assert.deepEqual(ev.names, ['a', 'b', 'c', 'e']);
+      assert.strictEqual(tracker.maxActive, 1);
+
+      const detailed = await pluginManager.invokeAsyncDetailed('test', void 0, ['PluginC', 'PluginB']);
+
+      assert.deepEqual(detailed.map((entry) => entry.result), ['c', 'b']);
+
+      assert.throws(() => pluginManager.invokeAsync('test', void 0, void 0, { concurrency: 1.5 }), TypeError);
+   });
+
+   test('concurrency - limited dispatch returns the same result shape as unlimited dispatch', async () =>
+   {
+      pluginManager.add({ name: 'PluginA', instance: { test: () => 1 } });
+      pluginManager.add({ name: 'PluginB', instance: { test: () => Promise.resolve(void 0) } });
+      pluginManager.add({ name: 'PluginC', instance: { test: () => null } });
+
+      const unlimited = await pluginManager.invokeAsync('test');
+
+      assert.deepEqual(unlimited, [1, void 0]);
+      assert.deepEqual(await pluginManager.invokeAsync('test', void 0, void 0, { concurrency: 1 }), unlimited);
+
+      assert.isUndefined(await pluginManager.invokeAsync('test', void 0, 'PluginB', { concurrency: 1 }));
+      assert.isUndefined(await pluginManager.invokeAsync('test', void 0, 'PluginC', { concurrency: 1 }));
+   });
+
+   test('concurrency - addAllAsync limits plugins added concurrently', async () =>
+   {
+      const tracker = new InFlightTracker();
+
+      const configs = ['PluginA', 'PluginB', 'PluginC', 'PluginD'].map(
+       (name) => ({ name, instance: { onPluginLoad: () => tracker.run(5) } }));
+
+      const pluginsData = await pluginManager.addAllAsync(configs, void 0, { concurrency: 2 });
+
+      assert.deepEqual(pluginsData.map((data) => data.plugin.name), ['PluginA', 'PluginB', 'PluginC', 'PluginD']);
+      assert.strictEqual(tracker.maxActive, 2);
+
+      assert.instanceOf(await getError(() => pluginManager.addAllAsync([], void 0, { concurrency: -1 })), TypeError);
+   });
+
+   test('invokeAsyncIterator - yields results in settle or dispatch order', async () =>
+   {
+      const collect = async (iterable) =>
+      {
+         const iterator = iterable[Symbol.asyncIterator]();
+         const items = [];
+
+         for (let next = await iterator.next(); !next.done; next = await iterator.next()) // eslint-disable-line babel/no-await-in-loop
+         {
+            items.push(next.value);
+         }
+
+         return items;
+      };
+
+      pluginManager.add({ name: 'PluginA', instance: { test: (value) => delay(30, () => `a${value}`) } });
+      pluginManager.add({ name: 'PluginB', instance: { test: () => Promise.reject(new Error('bad')) } });
+      pluginManager.add({ name: 'PluginC', instance: { test: (value) => delay(10, () => `c${value}`) } });
+
+      const settled = await collect(pluginManager.invokeAsyncIterator('test', 1));
+
+      assert.deepEqual(settled.map((item) => item.error ? `${item.pluginName}:${item.error.message}` :
+       `${item.pluginName}:${item.result}`), ['PluginB:bad', 'PluginC:c1', 'PluginA:a1']);
+
+      const dispatched = await collect(pluginManager.getEventbus().triggerSync('plugins:async:invoke:iterator', 'test',
+       2, void 0, { order: 'dispatch' }));
+
+      assert.deepEqual(dispatched.map((item) => item.pluginName), ['PluginA', 'PluginB', 'PluginC']);
+
+      assert.deepEqual(await collect(pluginManager.invokeAsyncIterator('unknown')), []);
+
+      assert.throws(() => pluginManager.invokeAsyncIterator('test', void 0, void 0, { order: 'bad' }), TypeError);
+   });
+
+   test('PluginEvent - stopPropagation / preventDefault control dispatch', async () =>
+   {
+      const invoked = [];
+
+      pluginManager.add({ name: 'PluginA', instance: { test: () => { invoked.push('PluginA'); } } });
+      pluginManager.add({
+         name: 'PluginB',
+         instance: {
+            test: (ev) =>
+            {
+               invoked.push('PluginB');
+               ev.preventDefault();
+
+               if (ev.data.stop) { ev.stopPropagation(); }
+            }
+         }
+      });
+      pluginManager.add({ name: 'PluginC', instance: { test: async () => { invoked.push('PluginC'); } } });
+
+      let event = pluginManager.invokeSyncEvent('test', { stop: true });
+
+      assert.deepEqual(invoked, ['PluginA', 'PluginB']);
+      assert.strictEqual(event.$$plugin_invoke_count, 2);
+      assert.isTrue(event.$$plugin_propagation_stopped);
+      assert.isTrue(event.$$plugin_default_prevented);
+
+      invoked.length = 0;
+      event = pluginManager.invokeSyncEvent('test', { stop: false });
+
+      assert.deepEqual(invoked, ['PluginA', 'PluginB', 'PluginC']);
+      assert.isFalse(event.$$plugin_propagation_stopped);
+      assert.isTrue(event.$$plugin_default_prevented);
+
+      invoked.length = 0;
+      event = await pluginManager.invokeAsyncEventSeries('test', { stop: true });
+
+      assert.deepEqual(invoked, ['PluginA', 'PluginB']);
+      assert.deepEqual(event.$$plugin_invoke_names, ['PluginA', 'PluginB']);
+      assert.isTrue(event.$$plugin_propagation_stopped);
+
+      invoked.length = 0;
+      event = await pluginManager.invokeAsyncEvent('test', {}, {}, ['PluginA', 'PluginC']);
+
+      assert.deepEqual(invoked, ['PluginA', 'PluginC']);
+      assert.isFalse(event.$$plugin_propagation_stopped);
+      assert.isFalse(event.$$plugin_default_prevented);
+   });
+
+   test('cloneStrategy - copyProps are deep copied with structured clone semantics', () =>
+   {
+      /**
+       * A minimal AST node.
+       */
+      class Node
+      {
+         /**
+          * @param {string} type - Node type.
+          */
+         constructor(type) { this.type = type; }
+      }
+
+      const root = new Node('Program');
+      const map = new Map([['key', { value: 1 }]]);
+      const copyProps = {
+         date: new Date(0),
+         regex: /a+/g,
+         map,
+         set: new Set([1, 2]),
+         bytes: new Uint8Array([1, 2, 3]),
+         missing: void 0,
+         root
+      };
+
+      copyProps.self = copyProps;
+
+      let received;
+
+      pluginManager.add({ name: 'PluginTest', instance: { test: (ev) => { received = ev.data; } } });
+
+      pluginManager.invokeSyncEvent('test', copyProps);
+
+      assert.notStrictEqual(received.map, map);
+      assert.instanceOf(received.map, Map);
+      assert.deepEqual(received.map.get('key'), { value: 1 });
+      assert.instanceOf(received.date, Date);
+      assert.strictEqual(received.date.getTime(), 0);
+      assert.instanceOf(received.regex, RegExp);
+      assert.strictEqual(received.regex.flags, 'g');
+      assert.deepEqual(Array.from(received.set), [1, 2]);
+      assert.instanceOf(received.bytes, Uint8Array);
+      assert.deepEqual(Array.from(received.bytes), [1, 2, 3]);
+      assert.property(received, 'missing');
+      assert.notStrictEqual(received.root, root);
+      assert.notInstanceOf(received.root, Node, 'class instances are copied as plain objects');
+      assert.deepEqual(received.root, { type: 'Program' });
+      assert.strictEqual(received.self, received);
+
+      const url = new global.URL('https://example.com/path');
+
+      pluginManager.invokeSyncEvent('test', { url });
+
+      assert.strictEqual(received.url, url);
+      assert.strictEqual(received.url.href, 'https://example.com/path');
+
+      pluginManager.setOptions({ cloneStrategy: (value) => value instanceof Node ? value : void 0 });
+      pluginManager.invokeSyncEvent('test', { root, map });
+
+      assert.strictEqual(received.root, root, 'custom strategy copies Node by reference');
+      assert.notStrictEqual(received.map, map);
+      assert.instanceOf(received.map, Map);
+      assert.isFunction(pluginManager.getOptions().cloneStrategy);
+
+      pluginManager.setOptions({ cloneStrategy: 'json' });
+      pluginManager.invokeSyncEvent('test', { date: new Date(0), map });
+
+      assert.isString(received.date);
+      assert.notInstanceOf(received.map, Map);
+   });
+
+   test('PluginEvent - each plugin receives an isolated view over shared data', async () =>
+   {
+      const names = [];
+
+      const createPlugin = (ms) => ({ test: (ev) => delay(ms, () => { names.push(ev.pluginName); ev.data.count++; }) });
+
+      pluginManager.add({ name: 'PluginA', instance: createPlugin(20) });
+      pluginManager.add({ name: 'PluginB', instance: createPlugin(5) });
+
+      const event = await pluginManager.invokeAsyncEvent('test', { count: 0 });
+
+      assert.deepEqual(names, ['PluginB', 'PluginA'], 'plugin name is correct after await');
+      assert.strictEqual(event.count, 2, 'data is shared');
+      assert.notProperty(event, '$$plugin_writes');
+   });
+
+   test('readOnlyEvents - plugin writes are recorded instead of applied', () =>
+   {
+      pluginManager.add({
+         name: 'PluginA',
+         instance: {
+            test: (ev) =>
+            {
+               ev.data.count = 1;
+               ev.data.nested.value = 2;
+               ev.data.list.push(3);
+               delete ev.data.remove;
+
+               // Reads reflect the writes and deletions of the plugin.
+               assert.strictEqual(ev.data.count, 1);
+               assert.strictEqual(ev.data.nested.value, 2);
+               assert.strictEqual(ev.data.list.length, 1);
+               assert.isUndefined(ev.data.remove);
+               assert.notProperty(ev.data, 'remove');
+
+               ev.data.list.push(4);
+
+               ev.data['nested.value'] = 5;
+
+               assert.strictEqual(ev.data.nested.value, 2, 'dotted keys do not collide with nested writes');
+            }
+         }
+      });
+
+      pluginManager.add({ name: 'PluginB', instance: { test: (ev) => { ev.data.other = ev.data.count; } } });
+
+      const event = pluginManager.invokeSyncEvent('test', { count: 0, nested: { value: 0 }, list: [], remove: true }, {},
+       void 0, { readOnlyEvents: true });
+
+      assert.strictEqual(event.count, 0);
+      assert.deepEqual(event.nested, { value: 0 });
+      assert.deepEqual(event.list, []);
+      assert.isTrue(event.remove);
+      assert.notProperty(event, 'other');
+
+      assert.deepEqual(event.$$plugin_writes, {
+         PluginA: [
+            { path: ['count'], value: 1 },
+            { path: ['nested', 'value'], value: 2 },
+            { path: ['list', '0'], value: 3 },
+            { path: ['list', 'length'], value: 2 },
+            { path: ['remove'], value: PluginEvent.DELETED },
+            { path: ['list', '1'], value: 4 },
+            { path: ['nested.value'], value: 5 }
+         ],
+         PluginB: [{ path: ['other'], value: 0 }]
+      });
+   });
+
+   test('addAll - atomic mode rolls back added plugins in reverse order', async () =>
+   {
+      const unloaded = [];
+
+      const createPlugin = (name) => ({ name, instance: createLogPlugin(name, unloaded, 'onPluginUnload') });
+
+      pluginManager.add(createPlugin('PluginExisting'));
+
+      const configs = [createPlugin('PluginA'), createPlugin('PluginB'),
+       { name: 'PluginBad', instance: { onPluginLoad: () => { throw new Error('load failed'); } } },
+       createPlugin('PluginC')];
+
+      const error = await getError(() => pluginManager.addAll(configs, void 0, { atomic: true }));
+
+      assert.instanceOf(error, PluginAddError);
+      assert.instanceOf(error, PluginManager.PluginAddError);
+      assert.strictEqual(error.name, 'PluginAddError');
+      assert.strictEqual(error.pluginConfig, configs[2]);
+      assert.strictEqual(error.index, 2);
+      assert.strictEqual(error.cause.message, 'load failed');
+      assert.match(error.message, /'PluginBad' at index 2/);
+      assert.deepEqual(error.rolledBack, ['PluginBad', 'PluginB', 'PluginA']);
+      assert.deepEqual(unloaded, ['PluginB', 'PluginA']);
+      assert.deepEqual(pluginManager.getPluginNames(), ['PluginExisting']);
+
+      assert.throws(() => pluginManager.addAll(configs), /load failed/);
+      assert.deepEqual(pluginManager.getPluginNames(), ['PluginExisting', 'PluginA', 'PluginB', 'PluginBad'],
+       'non atomic mode leaves added plugins loaded');
+   });
+
+   test('addAllAsync - atomic mode rolls back added plugins in reverse order', async () =>
+   {
+      const unloaded = [];
+
+      const createPlugin = (name, ms) =>
+      {
+         const instance = createLogPlugin(name, unloaded, 'onPluginUnload');
+
+         instance.onPluginLoad = () => delay(ms);
+
+         return { name, instance };
+      };
+
+      const configs = [createPlugin('PluginA', 0), createPlugin('PluginB', 10),
+       { name: 'PluginBad', target: './test/fixture/does-not-exist.js' }, createPlugin('PluginC', 20)];
+
+      const error = await getError(() => pluginManager.addAllAsync(configs, void 0, { atomic: true }));
+
+      assert.instanceOf(error, PluginAddError);
+      assert.strictEqual(error.name, 'PluginAddError');
+      assert.strictEqual(error.pluginConfig, configs[2]);
+      assert.deepEqual(error.rolledBack, ['PluginC', 'PluginB', 'PluginA']);
+      assert.deepEqual(unloaded, ['PluginC', 'PluginB', 'PluginA']);
+      assert.deepEqual(pluginManager.getPluginNames(), []);
+
+      const missing = await getError(() => pluginManager.addAllAsync([{ name: 'PluginD', instance: {},
+       dependencies: ['PluginMissing'] }], void 0, { atomic: true }));
+
+      assert.notInstanceOf(missing, PluginAddError, 'dependency validation errors are not wrapped');
+      assert.match(missing.message, /missing dependency: PluginMissing/);
+   });
+
+   test('addAll - atomic mode reports plugins that fail to be removed during rollback', async () =>
+   {
+      const configs = [
+         { name: 'PluginA', instance: {} },
+         { name: 'PluginStuck', instance: { onPluginUnload: () => { throw new Error('unload failed'); } } },
+         { name: 'PluginBad', instance: { onPluginLoad: () => { throw new Error('load failed'); } } }
+      ];
+
+      const error = await getError(() => pluginManager.addAll(configs, void 0, { atomic: true }));
+
+      assert.instanceOf(error, PluginAddError);
+      assert.deepEqual(error.rolledBack, ['PluginBad', 'PluginA']);
+      assert.deepEqual(Array.from(error.rollbackErrors.keys()), ['PluginStuck']);
+      assert.strictEqual(error.rollbackErrors.get('PluginStuck').message, 'unload failed');
+   });
+
+   test('addAllAsync - atomic mode does not blame queued plugin configs when aborted', async () =>
+   {
+      const controller = new global.AbortController();
+
+      const configs = [
+         { name: 'PluginA', instance: { onPluginLoad: () => { controller.abort(); } } },
+         { name: 'PluginB', instance: {} }
+      ];
+
+      const options = { atomic: true, concurrency: 1, signal: controller.signal };
+
+      const error = await getError(() => pluginManager.addAllAsync(configs, void 0, options));
+
+      assert.instanceOf(error, PluginAddError);
+      assert.isUndefined(error.pluginConfig);
+      assert.strictEqual(error.index, -1);
+      assert.strictEqual(error.cause.name, 'AbortError');
+      assert.match(error.message, /failed to add plugins/);
+      assert.deepEqual(error.rolledBack, ['PluginA']);
+      assert.deepEqual(pluginManager.getPluginNames(), []);
+   });
 });